@@ -0,0 +1,829 @@
+/**
+ * @name LeafClustererCore
+ * @version 1.0
+ * @author Imre Deak, ported for Leaflet
+ * @copyright (c) 2009 Xiaoxi Wu
+ * @fileoverview
+ * The clustering core of {@link LeafClusterer}, which does not depend on
+ * Leaflet or the DOM, so it also runs headless, e.g. in Node:
+ * <pre>
+ * var core = require("./leafclusterer-core.js");
+ * var clusters = core.cluster([{lat: 48.1, lng: 11.5}, {lat: 48.2, lng: 11.6}], 8);
+ * </pre>
+ * In the browser, it is the global <code>LeafClustererCore</code>, and must be
+ * loaded before leafclusterer.js.
+ */
+
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+var LeafClustererCore = (function () {
+
+/**
+ * @name LeafClustererCore
+ * @namespace The clustering functions and classes of the core.
+ */
+var LeafClustererCore = {};
+
+/**
+ * Project a position to spherical mercator world coordinates, 0..1 on both
+ * axes. Multiplied by 256 * 2^zoom, these are the pixel coordinates of Leaflet
+ * at a zoom level.
+ * @private
+ * @param {Object} latlng An object with lat and lng properties.
+ * @return {Object} The projected point, as {x, y}.
+ */
+function projectMercator_(latlng) {
+  var sin = Math.sin(latlng.lat * Math.PI / 180);
+  var y = 0.5 - 0.25 * Math.log((1 + sin) / (1 - sin)) / Math.PI;
+  return {
+    'x': latlng.lng / 360 + 0.5,
+    'y': y < 0 ? 0 : (y > 1 ? 1 : y)
+  };
+}
+
+/**
+ * Get the position of spherical mercator world coordinates.
+ * @private
+ * @param {Object} point An object with x and y properties, 0..1.
+ * @return {Object} The position, as {lat, lng}.
+ */
+function unprojectMercator_(point) {
+  var y = (0.5 - point.y) * 2 * Math.PI;
+  return {
+    'lat': 360 * Math.atan(Math.exp(y)) / Math.PI - 90,
+    'lng': (point.x - 0.5) * 360
+  };
+}
+
+LeafClustererCore.project = projectMercator_;
+LeafClustererCore.unproject = unprojectMercator_;
+
+/**
+ * The square grid test of the default clustering: whether a point is at most
+ * gridSize pixels from the center of a group on both axes.
+ * @private
+ * @param {Object} point
+ * @param {Object} center
+ * @param {Number} gridSize
+ * @return {Boolean}
+ */
+function isInGrid_(point, center, gridSize) {
+  return Math.abs(point.x - center.x) <= gridSize && Math.abs(point.y - center.y) <= gridSize;
+}
+
+/**
+ * Find the group a new point joins with the square grid test: the last group
+ * whose center is near the point. This is one step of the grid algorithm, for
+ * adding points one by one to existing groups. The groups are scanned from
+ * the last one, and their centers only asked for until one is near.
+ *
+ * @param {Object} point The point, with x and y pixel coordinates.
+ * @param {Number} count The number of groups.
+ * @param {Function} getCenter A function(i) returning the center of a group,
+ *     with x and y pixel coordinates, or null if the point can not join it.
+ * @param {Number} gridSize The grid size of a cluster in pixel.
+ * @return {Number} The index of the group, or -1 if the point starts a new
+ *     group.
+ */
+LeafClustererCore.findGridGroup = function (point, count, getCenter, gridSize) {
+  for (var i = count - 1; i >= 0; --i) {
+    var center = getCenter(i);
+    if (center !== null && isInGrid_(point, center, gridSize)) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Group points greedily: each point joins the last group whose first point
+ * is near it, or starts a new group.
+ * @private
+ * @param {Array of Object} points
+ * @param {Function} isNear A function(point, first) telling whether a point
+ *     is near the first point of a group.
+ * @return {Array of Array of Number}
+ */
+function clusterGreedy_(points, isNear) {
+  var groups = [];
+  for (var i = 0; i < points.length; ++i) {
+    var group = null;
+    for (var j = groups.length - 1; j >= 0; --j) {
+      if (isNear(points[i], points[groups[j][0]])) {
+        group = groups[j];
+        break;
+      }
+    }
+    if (group === null) {
+      groups.push([i]);
+    } else {
+      group.push(i);
+    }
+  }
+  return groups;
+}
+
+/**
+ * The built-in clustering algorithms of the algorithm option. Each is a
+ * function(points, gridSize) taking the points to group, as objects with x
+ * and y pixel coordinates, and returning the groups as arrays of indexes
+ * into points; every point is in exactly one group. They do not depend on
+ * a map, so they can also be run on projected points alone. They are also
+ * LeafClusterer.algorithms.
+ * @name LeafClustererCore.algorithms
+ */
+LeafClustererCore.algorithms = {
+  /**
+   * The square grid test of the default clustering: a point joins a group
+   * if it is at most gridSize pixels from its first point on both axes.
+   */
+  'grid': function (points, gridSize) {
+    return clusterGreedy_(points, function (p, first) {
+      return isInGrid_(p, first, gridSize);
+    });
+  },
+
+  /**
+   * Like grid, but within a circle: a point joins a group if it is at most
+   * gridSize pixels from its first point.
+   */
+  'radius': function (points, gridSize) {
+    return clusterGreedy_(points, function (p, first) {
+      var dx = p.x - first.x;
+      var dy = p.y - first.y;
+      return dx * dx + dy * dy <= gridSize * gridSize;
+    });
+  },
+
+  /**
+   * Group points by the cell of a fixed grid over the world they are in, the
+   * cells being gridSize pixels wide. Clusters are stable under panning.
+   */
+  'worldGrid': function (points, gridSize) {
+    var groups = [];
+    var cells = {};
+    for (var i = 0; i < points.length; ++i) {
+      var key = Math.floor(points[i].x / gridSize) + ":" + Math.floor(points[i].y / gridSize);
+      if (!cells.hasOwnProperty(key)) {
+        cells[key] = [];
+        groups.push(cells[key]);
+      }
+      cells[key].push(i);
+    }
+    return groups;
+  },
+
+  /**
+   * DBSCAN with gridSize as the neighborhood radius and 2 as the least
+   * number of points in a neighborhood: groups are chains of points at most
+   * gridSize pixels apart, other points are single.
+   */
+  'dbscan': function (points, gridSize) {
+    var items = [];
+    var i;
+    for (i = 0; i < points.length; ++i) {
+      items.push({'x': points[i].x, 'y': points[i].y, 'index': i});
+    }
+    var tree = new PointTree_(items);
+    var r2 = gridSize * gridSize;
+    var groupOf = [];
+    var groups = [];
+    for (i = 0; i < items.length; ++i) {
+      if (typeof groupOf[i] === "number") {
+        continue;
+      }
+      var group = [];
+      groupOf[i] = groups.length;
+      groups.push(group);
+      var queue = [items[i]];
+      while (queue.length) {
+        var p = queue.pop();
+        group.push(p.index);
+        var neighbors = tree.range(p.x - gridSize, p.y - gridSize, p.x + gridSize, p.y + gridSize);
+        for (var j = 0; j < neighbors.length; ++j) {
+          var n = neighbors[j];
+          var dx = n.x - p.x;
+          var dy = n.y - p.y;
+          if (typeof groupOf[n.index] !== "number" && dx * dx + dy * dy <= r2) {
+            groupOf[n.index] = groupOf[i];
+            queue.push(n);
+          }
+        }
+      }
+    }
+    return groups;
+  },
+
+  /**
+   * K-means, seeded with the groups of the grid algorithm, so k follows the
+   * grid size. The points are reassigned to the nearest group center until
+   * no point moves, or at most 10 times.
+   */
+  'kmeans': function (points, gridSize) {
+    var groups = LeafClustererCore.algorithms.grid(points, gridSize);
+    for (var iteration = 0; iteration < 10; ++iteration) {
+      var centers = [];
+      var i;
+      var j;
+      for (i = 0; i < groups.length; ++i) {
+        var x = 0;
+        var y = 0;
+        for (j = 0; j < groups[i].length; ++j) {
+          x += points[groups[i][j]].x;
+          y += points[groups[i][j]].y;
+        }
+        centers.push({'x': x / groups[i].length, 'y': y / groups[i].length});
+      }
+
+      var next = [];
+      var isMoved = false;
+      for (i = 0; i < groups.length; ++i) {
+        next.push([]);
+      }
+      for (i = 0; i < groups.length; ++i) {
+        for (j = 0; j < groups[i].length; ++j) {
+          var p = points[groups[i][j]];
+          var nearest = i;
+          var minDistance = Infinity;
+          for (var k = 0; k < centers.length; ++k) {
+            var dx = p.x - centers[k].x;
+            var dy = p.y - centers[k].y;
+            if (dx * dx + dy * dy < minDistance) {
+              minDistance = dx * dx + dy * dy;
+              nearest = k;
+            }
+          }
+          isMoved = isMoved || nearest !== i;
+          next[nearest].push(groups[i][j]);
+        }
+      }
+
+      groups = [];
+      for (i = 0; i < next.length; ++i) {
+        if (next[i].length !== 0) {
+          groups.push(next[i]);
+        }
+      }
+      if (!isMoved) {
+        break;
+      }
+    }
+    return groups;
+  }
+};
+
+/**
+ * Group points at a zoom level, like {@link LeafClusterer} groups markers,
+ * without a map.
+ * <br/><br/>
+ * The points are projected to pixel coordinates at the zoom level, then
+ * grouped with a clustering algorithm. Each cluster is centered on its first
+ * point, like with the default centerStrategy of LeafClusterer.
+ *
+ * @param {Array of Object} points Objects with lat and lng properties.
+ * @param {Number} zoom The zoom level.
+ * @param {Object} opt_options Optional, as {gridSize, algorithm, project}:
+ *     the grid size of a cluster in pixel, 40 by default; the name of one of
+ *     {@link LeafClustererCore.algorithms} or a function like them, "grid" by
+ *     default; and a function(point) returning the world coordinates of a
+ *     point, 0..1 on both axes, {@link LeafClustererCore.project} by default.
+ * @return {Array of Object} The clusters, as {lat, lng, count, points}.
+ */
+LeafClustererCore.cluster = function (points, zoom, opt_options) {
+  var options = opt_options || {};
+  var gridSize = typeof options.gridSize === "number" && options.gridSize > 0 ? options.gridSize : 40;
+  var algorithm = typeof options.algorithm === "function" ? options.algorithm :
+      LeafClustererCore.algorithms[options.algorithm || "grid"];
+  var project = typeof options.project === "function" ? options.project : projectMercator_;
+
+  var scale = 256 * Math.pow(2, zoom);
+  var pixels = [];
+  var i;
+  for (i = 0; i < points.length; ++i) {
+    var p = project(points[i]);
+    pixels.push({'x': p.x * scale, 'y': p.y * scale});
+  }
+
+  var groups = algorithm(pixels, gridSize);
+  var clusters = [];
+  for (i = 0; i < groups.length; ++i) {
+    var members = [];
+    for (var j = 0; j < groups[i].length; ++j) {
+      members.push(points[groups[i][j]]);
+    }
+    clusters.push({
+      'lat': members[0].lat,
+      'lng': members[0].lng,
+      'count': members.length,
+      'points': members
+    });
+  }
+  return clusters;
+};
+
+/**
+ * Create a per-zoom-level hierarchy of clusters over a fixed set of markers,
+ * or of plain objects with lat and lng properties.
+ * The markers are projected once to spherical mercator world coordinates
+ * (0..1 on both axes), then clustered bottom-up from the max zoom level to
+ * the min zoom level, each level grouping the clusters of the level below
+ * with the same square grid test {@link LeafClusterer} uses. Every level is
+ * kept in a {@link PointTree_}, so the clusters of a zoom level intersecting
+ * a viewport are looked up instead of regrouped.
+ *
+ * @constructor
+ * @private
+ * @param {Number|Array of Number} gridSize The grid size of a cluster in
+ *     pixel, or an array of them by zoom level.
+ * @param {Number} minZoom The lowest zoom level to build clusters for.
+ * @param {Number} maxZoom The zoom level from which all markers are shown
+ *     without cluster.
+ * @param {Function} opt_keyFn A function(marker) returning a key; only
+ *     markers with the same key are clustered together.
+ */
+function ClusterIndex_(gridSize, minZoom, maxZoom, opt_keyFn) {
+  var markers_ = [];
+  var trees_ = [];
+  var isDirty_ = false;
+  var lastId_ = 0;
+  var nodes_ = {};
+
+  /**
+   * Get the grid size at a zoom level.
+   * @param {Number} zoom
+   * @return {Number}
+   */
+  function getGridSize_(zoom) {
+    return typeof gridSize === "number" ? gridSize : gridSize[zoom];
+  }
+
+  /**
+   * Group the points of one zoom level into the clusters of the level above.
+   * @param {PointTree_} tree The points of zoom level zoom + 1.
+   * @param {Number} zoom
+   * @return {Array of Object} The clusters of this zoom level.
+   */
+  function cluster_(tree, zoom) {
+    var r = getGridSize_(zoom) / (256 * Math.pow(2, zoom));
+    var points = tree.getPoints();
+    var clusters = [];
+    for (var i = 0; i < points.length; ++i) {
+      var p = points[i];
+      if (p.zoom <= zoom) {
+        continue;
+      }
+      p.zoom = zoom;
+
+      var neighbors = tree.range(p.x - r, p.y - r, p.x + r, p.y + r);
+      var children = [p];
+      var count = p.count;
+      for (var j = 0; j < neighbors.length; ++j) {
+        var n = neighbors[j];
+        if (n.zoom <= zoom || n.key !== p.key) {
+          continue;
+        }
+        n.zoom = zoom;
+        children.push(n);
+        count += n.count;
+      }
+
+      if (children.length === 1) {
+        clusters.push(p);
+      } else {
+        // Like Cluster, a cluster is centered on the first point it got.
+        var node = {
+          'id': ++lastId_,
+          'x': p.x,
+          'y': p.y,
+          'latlng': p.latlng,
+          'count': count,
+          'children': children,
+          'marker': null,
+          'key': p.key,
+          'zoom': Infinity
+        };
+        nodes_[node.id] = node;
+        clusters.push(node);
+      }
+    }
+    return clusters;
+  }
+
+  /**
+   * Rebuild all the zoom levels from markers_.
+   */
+  function build_() {
+    var points = [];
+    nodes_ = {};
+    for (var i = 0; i < markers_.length; ++i) {
+      var item = markers_[i];
+      var latlng = typeof item.getLatLng === "function" ? item.getLatLng() : item;
+      var p = projectMercator_(latlng);
+      var leaf = {
+        'id': ++lastId_,
+        'x': p.x,
+        'y': p.y,
+        'latlng': latlng,
+        'count': 1,
+        'children': null,
+        'marker': markers_[i],
+        'key': opt_keyFn ? opt_keyFn(item) : null,
+        'zoom': Infinity
+      };
+      nodes_[leaf.id] = leaf;
+      points.push(leaf);
+    }
+
+    trees_ = [];
+    trees_[maxZoom] = new PointTree_(points);
+    for (var z = maxZoom - 1; z >= minZoom; --z) {
+      trees_[z] = new PointTree_(cluster_(trees_[z + 1], z));
+    }
+    isDirty_ = false;
+  }
+
+  /**
+   * Add markers to the index. The index is rebuilt on the next lookup.
+   * @param {Array of GMarker} markers
+   */
+  this.load = function (markers) {
+    for (var i = 0; i < markers.length; ++i) {
+      markers_.push(markers[i]);
+    }
+    isDirty_ = true;
+  };
+
+  /**
+   * Remove the markers for which a function returns true from the index.
+   * @param {Function} fn Called with each marker.
+   * @return {Number} The number of markers removed.
+   */
+  this.removeIf = function (fn) {
+    var markers = [];
+    for (var i = 0; i < markers_.length; ++i) {
+      if (!fn(markers_[i])) {
+        markers.push(markers_[i]);
+      }
+    }
+    var removed = markers_.length - markers.length;
+    if (removed > 0) {
+      markers_ = markers;
+      isDirty_ = true;
+    }
+    return removed;
+  };
+
+  /**
+   * Rebuild the index on the next lookup, e.g. because markers moved.
+   */
+  this.invalidate = function () {
+    isDirty_ = true;
+  };
+
+  /**
+   * Set the zoom levels to build clusters for.
+   * @param {Number} min The lowest zoom level.
+   * @param {Number} max The zoom level from which all markers are single.
+   */
+  this.setZoomRange = function (min, max) {
+    if (min !== minZoom || max !== maxZoom) {
+      minZoom = min;
+      maxZoom = max;
+      isDirty_ = true;
+    }
+  };
+
+  /**
+   * Get all markers in the index.
+   * @return {Array of GMarker}
+   */
+  this.getMarkers = function () {
+    return markers_;
+  };
+
+  /**
+   * Remove all markers from the index.
+   */
+  this.clear = function () {
+    markers_ = [];
+    trees_ = [];
+    nodes_ = {};
+    isDirty_ = false;
+  };
+
+  /**
+   * Get the clusters of a zoom level which intersect some bounds. A cluster
+   * is an object with a unique id, its center latlng, the number of markers
+   * in count and either its children or, for a single marker, the marker.
+   *
+   * @param {GLatLngBounds} bounds
+   * @param {Number} zoom
+   * @return {Array of Object}
+   */
+  this.getClusters = function (bounds, zoom) {
+    var sw = bounds.getSouthWest();
+    var ne = bounds.getNorthEast();
+    return this.getClustersInBox(sw.lng, sw.lat, ne.lng, ne.lat, zoom);
+  };
+
+  /**
+   * Like getClusters, with the bounds given by their edges.
+   *
+   * @param {Number} west
+   * @param {Number} south
+   * @param {Number} east
+   * @param {Number} north
+   * @param {Number} zoom
+   * @return {Array of Object}
+   */
+  this.getClustersInBox = function (west, south, east, north, zoom) {
+    if (isDirty_) {
+      build_();
+    }
+    var z = Math.max(minZoom, Math.min(Math.floor(zoom), maxZoom));
+    if (!trees_[z]) {
+      return [];
+    }
+    var sw = projectMercator_({'lat': south, 'lng': west});
+    var ne = projectMercator_({'lat': north, 'lng': east});
+    var r = getGridSize_(z) / (256 * Math.pow(2, z));
+    return trees_[z].range(sw.x - r, ne.y - r, ne.x + r, sw.y + r);
+  };
+
+  /**
+   * Get a cluster returned by getClusters by its id.
+   *
+   * @param {Number} id
+   * @return {Object} The cluster, or null if the index was rebuilt since.
+   */
+  this.getNode = function (id) {
+    return nodes_.hasOwnProperty(id) ? nodes_[id] : null;
+  };
+
+  /**
+   * Get all markers under a cluster returned by getClusters, the marker the
+   * cluster is centered on first.
+   *
+   * @param {Object} node
+   * @return {Array of GMarker}
+   */
+  this.getLeaves = function (node) {
+    var leaves = [];
+    var stack = [node];
+    while (stack.length) {
+      var n = stack.pop();
+      if (n.marker !== null) {
+        leaves.push(n.marker);
+        continue;
+      }
+      for (var i = n.children.length - 1; i >= 0; --i) {
+        stack.push(n.children[i]);
+      }
+    }
+    return leaves;
+  };
+
+  /**
+   * Get total number of markers in the index.
+   * @return {Number}
+   */
+  this.getTotalMarkers = function () {
+    return markers_.length;
+  };
+}
+
+/**
+ * A static 2-d tree over points, answering range queries in logarithmic time.
+ * The points are sorted in place of a copy of the array, alternately by x and
+ * y around the median, down to buckets of nodeSize points.
+ *
+ * @constructor
+ * @private
+ * @param {Array of Object} points Objects with numeric x and y properties.
+ * @param {Number} opt_nodeSize Bucket size, 64 by default.
+ */
+function PointTree_(points, opt_nodeSize) {
+  var points_ = points.slice(0);
+  var nodeSize_ = opt_nodeSize || 64;
+  var axes = ['x', 'y'];
+
+  function swap_(i, j) {
+    var tmp = points_[i];
+    points_[i] = points_[j];
+    points_[j] = tmp;
+  }
+
+  /**
+   * Partially sort points_[left..right] so the k-th point is in place.
+   */
+  function select_(k, left, right, axis) {
+    var key = axes[axis];
+    while (right > left) {
+      var t = points_[k][key];
+      var i = left;
+      var j = right;
+      swap_(left, k);
+      if (points_[right][key] > t) {
+        swap_(left, right);
+      }
+      while (i < j) {
+        swap_(i, j);
+        i++;
+        j--;
+        while (points_[i][key] < t) {
+          i++;
+        }
+        while (points_[j][key] > t) {
+          j--;
+        }
+      }
+      if (points_[left][key] === t) {
+        swap_(left, j);
+      } else {
+        j++;
+        swap_(j, right);
+      }
+      if (j <= k) {
+        left = j + 1;
+      }
+      if (k <= j) {
+        right = j - 1;
+      }
+    }
+  }
+
+  function sort_(left, right, axis) {
+    if (right - left <= nodeSize_) {
+      return;
+    }
+    var m = (left + right) >> 1;
+    select_(m, left, right, axis);
+    sort_(left, m - 1, 1 - axis);
+    sort_(m + 1, right, 1 - axis);
+  }
+
+  sort_(0, points_.length - 1, 0);
+
+  /**
+   * Get all points within a box.
+   * @return {Array of Object}
+   */
+  this.range = function (minX, minY, maxX, maxY) {
+    var result = [];
+    var stack = [0, points_.length - 1, 0];
+    var p;
+    while (stack.length) {
+      var axis = stack.pop();
+      var right = stack.pop();
+      var left = stack.pop();
+
+      if (right - left <= nodeSize_) {
+        for (var i = left; i <= right; ++i) {
+          p = points_[i];
+          if (p.x >= minX && p.x <= maxX && p.y >= minY && p.y <= maxY) {
+            result.push(p);
+          }
+        }
+        continue;
+      }
+
+      var m = (left + right) >> 1;
+      p = points_[m];
+      if (p.x >= minX && p.x <= maxX && p.y >= minY && p.y <= maxY) {
+        result.push(p);
+      }
+      var v = axis === 0 ? p.x : p.y;
+      if ((axis === 0 ? minX : minY) <= v) {
+        stack.push(left, m - 1, 1 - axis);
+      }
+      if ((axis === 0 ? maxX : maxY) >= v) {
+        stack.push(m + 1, right, 1 - axis);
+      }
+    }
+    return result;
+  };
+
+  /**
+   * Get all points, in tree order.
+   * @return {Array of Object}
+   */
+  this.getPoints = function () {
+    return points_;
+  };
+}
+
+/**
+ * The message handler of the clustering worker. The function is serialized
+ * into the worker, along with {@link ClusterIndex_}, {@link PointTree_} and
+ * {@link projectMercator_},
+ * so it must not use anything else.
+ * <br/><br/>
+ * A "load" message carries the positions of all points as a flat array of
+ * lat, lng pairs and replaces the index. A "clusters" message asks for the
+ * clusters in some bounds at a zoom level; the answer carries them as a flat
+ * array of id, lat, lng, count and the index of the point for single points
+ * or -1. A single point always has the id -1 - its index, whether it is on
+ * its own in the index or in a cluster below minClusterSize, so it can not
+ * clash with the ids of clusters. A "members" message asks for the indexes
+ * of the points in some of these clusters, by id.
+ *
+ * @private
+ * @param {Object} scope The global scope of the worker.
+ */
+function clusterWorkerMain_(scope) {
+  var index = null;
+  scope.onmessage = function (e) {
+    var msg = e.data;
+    var i;
+    if (msg.type === "load") {
+      var points = [];
+      for (i = 0; i < msg.coords.length / 2; ++i) {
+        points.push({'lat': msg.coords[2 * i], 'lng': msg.coords[2 * i + 1], 'index': i});
+      }
+      index = new ClusterIndex_(msg.gridSize, msg.minZoom, msg.maxZoom);
+      index.load(points);
+    } else if (msg.type === "clusters") {
+      var nodes = index === null ? [] :
+          index.getClustersInBox(msg.west, msg.south, msg.east, msg.north, msg.zoom);
+      var clusters = [];
+      for (i = 0; i < nodes.length; ++i) {
+        var n = nodes[i];
+        if (n.marker !== null) {
+          clusters.push(-1 - n.marker.index, n.marker.lat, n.marker.lng, 1, n.marker.index);
+        } else if (n.count < msg.minClusterSize) {
+          // Show the points of clusters below minClusterSize.
+          var leaves = index.getLeaves(n);
+          for (var k = 0; k < leaves.length; ++k) {
+            var m = leaves[k];
+            clusters.push(-1 - m.index, m.lat, m.lng, 1, m.index);
+          }
+        } else {
+          clusters.push(n.id, n.latlng.lat, n.latlng.lng, n.count, -1);
+        }
+      }
+      scope.postMessage({
+        'type': "clusters",
+        'requestId': msg.requestId,
+        'zoom': msg.zoom,
+        'clusters': clusters
+      });
+    } else if (msg.type === "members") {
+      var members = {};
+      for (i = 0; i < msg.ids.length; ++i) {
+        if (msg.ids[i] < 0) {
+          members[msg.ids[i]] = [-1 - msg.ids[i]];
+          continue;
+        }
+        var node = index === null ? null : index.getNode(msg.ids[i]);
+        if (node !== null) {
+          var nodeLeaves = index.getLeaves(node);
+          members[msg.ids[i]] = [];
+          for (var j = 0; j < nodeLeaves.length; ++j) {
+            members[msg.ids[i]].push(nodeLeaves[j].index);
+          }
+        }
+      }
+      scope.postMessage({
+        'type': "members",
+        'requestId': msg.requestId,
+        'members': members
+      });
+    }
+  };
+}
+
+/**
+ * Get the source of the clustering worker: {@link clusterWorkerMain_} run on
+ * the worker scope, with the functions it uses.
+ * @private
+ * @return {String}
+ */
+LeafClustererCore.getWorkerSource = function () {
+  return projectMercator_.toString() + "\n" + PointTree_.toString() + "\n" +
+      ClusterIndex_.toString() + "\n" +
+      "(" + clusterWorkerMain_.toString() + ")(self);";
+};
+
+LeafClustererCore.ClusterIndex = ClusterIndex_;
+LeafClustererCore.PointTree = PointTree_;
+LeafClustererCore.workerMain = clusterWorkerMain_;
+
+return LeafClustererCore;
+})();
+
+if (typeof module === "object" && module !== null && module.exports) {
+  module.exports = LeafClustererCore;
+}
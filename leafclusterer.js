@@ -19,6 +19,9 @@
  * on the cluster marker. When the map viewport changes,
  * <code>LeafClusterer</code> will destroy the clusters in the viewport 
  * and regroup them into new clusters.
+ * <br /><br/>
+ * The clustering core, which does not depend on Leaflet, is in
+ * leafclusterer-core.js, which must be loaded first.
  *
  */
 
@@ -45,14 +48,146 @@
  * marker cluster. If not given, the marker cluster assumes the maximum map
  * zoom level. When maxZoom is reached or exceeded all markers will be shown
  * without cluster.
- * @property {Number} [gridSize=60] The grid size of a cluster in pixel. Each
+ * @property {Number|Object|Function} [gridSize=60] The grid size of a cluster in pixel. Each
  * cluster will be a square. If you want the algorithm to run faster, you can set
- * this value larger.
+ * this value larger. It may differ per zoom level, given as a function(zoom)
+ * returning the grid size, or as a map like {0: 120, 8: 60}, where each grid
+ * size applies from its zoom level on.
+ * @property {String|Function} [algorithm] How markers are grouped, instead of
+ * the default square grid test: the name of one of
+ * {@link LeafClusterer.algorithms}, like "radius", "worldGrid", "dbscan" or
+ * "kmeans", or a function with the same signature. The markers in the
+ * clustering bounds are then regrouped on every map move. Does not apply
+ * with the precompute or worker options.
+ * @property {Function} [ariaLabel] A function(count) returning the label
+ * screen readers announce for a cluster marker of count markers. By default
+ * "Cluster of count locations". Cluster markers can be focused with the Tab
+ * key and expanded with Enter or Space, like clicked.
+ * @property {Boolean|Function} [liveRegion=false] Announce a summary of the
+ * clusters in view to screen readers after the viewport changed, in a
+ * visually hidden live region. A function(clusters, markers) may return the
+ * summary for the number of cluster markers and of markers in view.
+ * @property {Boolean|Function} [clusterPopup=false] Open a popup listing the
+ * markers of a cluster when its cluster marker is clicked, instead of
+ * zooming to it or spiderfying it. A function(cluster, markers) may return
+ * the content, as HTML or an element, for the markers of the page shown;
+ * clicking an element of it with a data-marker attribute, set to the index
+ * of a marker in markers, shows that marker with zoomToShowLayer and opens
+ * its popup. By default the markers are listed by their title option.
+ * @property {Boolean|Function} [clusterTooltip=false] Show the list of
+ * clusterPopup when a cluster marker is hovered, with only its first page.
+ * @property {Number} [clusterPageSize=10] The number of markers on a page of
+ * the list of clusterPopup and clusterTooltip.
+ * The clusterPopup and clusterTooltip options do not apply to the clusters of
+ * the worker and provider options.
+ * @property {Number} [minClusterSize=2] The least number of markers shown as
+ * a cluster marker. Smaller clusters show their markers.
+ * @property {Number} [disableClusteringAtZoom] The zoom level from which all
+ * markers are shown without cluster, even with the spiderfy option. Zooming
+ * out below it clusters them again.
  * @property {Array of MarkerStyleOptions} [styles]
  * Custom styles for the cluster markers.
  * The array should be ordered according to increasing cluster size,
  * with the style for the smallest clusters first, and the style for the
  * largest clusters last.
+ * @property {Boolean} [precompute=false] Build a hierarchical index of the
+ * clusters for all zoom levels once, instead of regrouping the markers in the
+ * viewport on every map move. Recommended for tens of thousands of markers.
+ * @property {Boolean} [zoomOnClick=true] Whether clicking a cluster marker
+ * zooms the map to the cluster. The clusterclick event is fired either way.
+ * @property {Boolean} [spiderfy=false] Keep showing a cluster marker at the
+ * max zoom level, and fan the markers of a cluster out around it when it is
+ * clicked and cannot be split by zooming in any further. The markers are
+ * collapsed again when the map is clicked or zoomed.
+ * @property {Object} [spiderLegStyle] Path options of the lines drawn from
+ * the center of a spiderfied cluster to its markers.
+ * @property {String|Function} [aggregate="count"] The value shown on a
+ * cluster marker, which also selects its style: "count" for the number of
+ * markers, "sum", "mean" or "max" of the valueProperty option of the
+ * markers, or a function which reduces an array of markers to a Number.
+ * @property {String} [valueProperty="value"] The marker option holding the
+ * value aggregated by "sum", "mean" and "max".
+ * @property {Function} [calculator] A function(markers, numStyles) returning
+ * the label of a cluster marker as {text, index}, where index is the 1-based
+ * index of the style to use. By default the text is the aggregated value and
+ * the index is its number of decimal digits.
+ * @property {Function} [iconCreateFunction] A function(cluster) returning an
+ * L.Icon, like an L.DivIcon, for a {@link Cluster}. The icon is rendered
+ * instead of the styles, so the cluster markers can be styled with CSS
+ * classes, SVG or anything else an icon can hold.
+ * @property {Number} [viewportPadding=0] Also cluster and draw the markers
+ * within this ratio of the viewport size around it, so that the clusters
+ * next to the viewport are ready when the map is panned.
+ * @property {Boolean} [clusterAll=false] Cluster and draw all markers, not
+ * only the ones in the viewport.
+ * @property {Boolean} [animate=false] Animate zooming: the clusters and
+ * markers fly out from the position of their former cluster when zooming in,
+ * and converge into their new cluster when zooming out. Needs CSS transitions
+ * and 3D transforms, without them the clusters change instantly.
+ * @property {Boolean} [showCoverageOnHover=false] Show the area covered by
+ * the markers of a cluster while the mouse is over its cluster marker.
+ * @property {String} [coverageShape="hull"] The shape of the covered area:
+ * "hull" for the convex hull of the markers, "bounds" for their bounding box.
+ * @property {Object} [coverageStyle] Path options of the covered area.
+ * @property {String} [centerStrategy="first"] Where a cluster is centered,
+ * which is where its cluster marker is shown and what markers are tested
+ * against when they are added: "first" for the first marker added,
+ * "centroid" for the average position of the markers, "weighted" for their
+ * average position weighted by the valueProperty option, or "medoid" for the
+ * marker nearest to the centroid. The center follows markers joining and
+ * leaving the cluster.
+ * @property {Boolean} [worker=false] Cluster in a Web Worker, for very large
+ * sets of markers or points. The worker holds only the positions; it builds
+ * the clusters for all zoom levels like the precompute option and answers
+ * with the clusters in the viewport, for which the cluster markers and the
+ * markers of single points are created. Cluster events and the aggregate,
+ * calculator, iconCreateFunction, spiderfy and animate options do not apply
+ * to these clusters. Where workers are not supported, the same clustering
+ * runs asynchronously on the main thread.
+ * @property {Function} [pointToLayer] A function(point) returning the marker
+ * for a point added with addPoints or returned by the provider. By default an
+ * L.Marker at the point.
+ * @property {Function} [provider] Show the clusters of a remote source, like
+ * a server aggregating by tile, instead of clustering markers: a
+ * function(query, callback) called for each 256 pixel tile of the viewport,
+ * with query as {x, y, zoom, bounds, signal}, which passes the clusters of
+ * the tile to callback, or returns a promise of them. The clusters are
+ * objects with lat, lng and count properties; the ones with a count of 1 are
+ * shown with the pointToLayer option. The answers are cached per tile, and
+ * the requests of tiles which left the viewport are cancelled: their answers
+ * are ignored and signal, an AbortSignal where supported, is aborted. Markers
+ * can not be added in this mode.
+ * @property {Function} [filter] A function(marker) returning whether a marker
+ * is shown. The markers it rejects are kept, but neither drawn nor counted.
+ * Points added with addPoints are passed as the layers standing in for their
+ * markers, with the point as options. See {@link LeafClusterer#setFilter}.
+ * @property {Function} [categoryFn] A function(marker) returning the category
+ * of a marker, like its status or type. Each cluster then counts its markers
+ * per category, see {@link Cluster#getCategoryCounts}.
+ * @property {Boolean} [clusterByCategory=false] Only cluster markers of the
+ * same category with each other. Requires the categoryFn option.
+ * @property {String} [categoryIcon] Show the category breakdown of a cluster
+ * as an SVG "pie" or "donut" icon, with the label in the middle, instead of
+ * the styles. Its size is the width of the style the label would get.
+ * Requires the categoryFn option, and is overridden by iconCreateFunction.
+ * @property {Object} [categoryColors] The colors of the categories in
+ * category icons, like {"open": "#4daf4a"}. Other categories get the colors
+ * of a default palette.
+ * The category options do not apply in worker mode.
+ * @property {String} [renderer="dom"] How cluster markers are drawn: "dom"
+ * for an element per cluster marker, or "canvas" to draw all of them on a
+ * single canvas, which stays fast with thousands of clusters. On the canvas,
+ * a cluster marker is the image of its style, or a circle of the style's
+ * color while the image is not loaded, with the label on top. The
+ * iconCreateFunction and categoryIcon options do not apply to it, and it is
+ * neither animated nor reachable with the keyboard.
+ * @property {Number} [heatmapZoom] The zoom level below which the markers
+ * passing the filter are shown as a density heatmap instead of clusters.
+ * The colors are relative to the densest spot in view. Not in provider mode.
+ * @property {Number} [heatmapRadius=25] The radius in pixels of the area a
+ * marker adds density to on the heatmap.
+ * @property {Object} [heatmapGradient] The colors of the heatmap by density
+ * from 0 to 1, like {0.4: "blue", 0.65: "lime", 1: "red"}.
  */
 
 /**
@@ -65,27 +200,206 @@
  * @property {Array of Number} [opt_anchor] Anchor for label text, like [24, 12]. 
  *    If not set, the text will align center and middle.
  * @property {String} [opt_textColor="black"] Text color.
+ * @property {String} [color] Fill color of the circle the canvas renderer
+ *    draws while the image is not loaded, or if it can not be loaded.
+ */
+
+/**
+ * @name ClusterEvent
+ * @class The event object passed to the listeners of the cluster events of
+ * {@link LeafClusterer}: clusterclick, clustermouseover, clustermouseout,
+ * spiderfied and unspiderfied.
+ * @property {Cluster} cluster The cluster the event happened on.
+ * @property {Array of GMarker} markers The markers in the cluster.
+ * @property {GLatLngBounds} bounds The bounds of the markers in the cluster.
+ * @property {GLatLng} latlng The position of the cluster marker.
+ * @property {Event} [originalEvent] The DOM event.
+ */
+
+/**
+ * Duration of the zoom animation in seconds.
+ * @private
+ */
+var LEAFCLUSTERER_ANIMATION_DURATION_ = 0.3;
+
+/**
+ * The highest zoom level the index of the precompute and worker options is
+ * built for.
+ * @private
+ */
+var LEAFCLUSTERER_MAX_INDEX_ZOOM_ = 30;
+
+/**
+ * The number of tiles the answers of the provider option are cached for.
+ * @private
  */
+var LEAFCLUSTERER_PROVIDER_CACHE_SIZE_ = 512;
+
+/**
+ * The part of the viewport size the canvas of the canvas renderer extends
+ * beyond the viewport on each side.
+ * @private
+ */
+var LEAFCLUSTERER_CANVAS_PADDING_ = 0.5;
+
+/**
+ * The size in pixels of the cells of the grid in which the canvas of the
+ * canvas renderer looks up the cluster markers at a position.
+ * @private
+ */
+var LEAFCLUSTERER_CANVAS_CELL_SIZE_ = 64;
+
+/**
+ * The fill colors of the circles drawn by the canvas renderer, by style
+ * index, for the styles without a color.
+ * @private
+ */
+var LEAFCLUSTERER_CANVAS_COLORS_ = ["rgba(110, 204, 57, 0.8)", "rgba(240, 194, 12, 0.8)",
+    "rgba(241, 128, 23, 0.8)", "rgba(230, 60, 40, 0.8)", "rgba(160, 40, 160, 0.8)"];
 
 /**
  * Creates a new LeafClusterer to cluster markers on the map.
+ * <br/><br/>
+ * The LeafClusterer is a Leaflet layer: it can be added to and removed from
+ * maps with addTo, map.addLayer and map.removeLayer, or toggled with a layers
+ * control. It keeps its markers while it is not on a map.
+ * <br/><br/>
+ * Besides the cluster events described by {@link ClusterEvent}, it fires
+ * clusteringbegin and clusteringend around every regrouping of markers,
+ * followed by animationend once the clusters on the map are up to date.
  *
  * @constructor
- * @param {GMap2} map The map that the markers should be added to.
+ * @param {GMap2} opt_map The map that the markers should be added to. If
+ *     null, add the LeafClusterer to a map later.
  * @param {Array of GMarker} opt_markers Initial set of markers to be clustered.
  * @param {LeafClustererOptions} opt_opts A container for optional arguments.
  */
-function LeafClusterer(map, opt_markers, opt_opts) {
+function LeafClusterer(opt_map, opt_markers, opt_opts) {
   // private members
   var clusters_ = [];
-  var map_ = map;
+  var map_ = null;
   var maxZoom_ = null;
   var me_ = this;
   var gridSize_ = 40;
+  var gridSizeByZoom_ = null;
+  var minClusterSize_ = 2;
+  var disableClusteringAtZoom_ = null;
+  var algorithm_ = null;
+  var ariaLabel_ = function (count) {
+    return "Cluster of " + count + " locations";
+  };
+  var liveRegion_ = null;
+  var liveRegionDiv_ = null;
+  var clusterPopup_ = null;
+  var clusterTooltip_ = null;
+  var clusterPageSize_ = 10;
+  var popup_ = null;
+  var tooltip_ = null;
+  var provider_ = null;
+  var providerTiles_ = {};
+  var providerRequests_ = {};
+  var providerPending_ = 0;
+  var isProviderLoading_ = false;
+  var isProviderRequesting_ = false;
+  var providerCache_ = {};
+  var providerCacheKeys_ = [];
   var sizes = [53, 56, 66, 78, 90];
   var styles_ = [];
   var leftMarkers_ = [];
-  var mcfn_ = null;
+  // The number of clusters the markers left form at a zoom level, counted
+  // by getTotalClusters until the markers left change.
+  var leftClusters_ = null;
+  var index_ = null;
+  var indexClusters_ = {};
+  var indexZoom_ = null;
+  var indexFrame_ = null;
+  var zoomOnClick_ = true;
+  var spiderfy_ = false;
+  var spiderLegStyle_ = {'color': '#222', 'weight': 1.5, 'opacity': 0.5};
+  var spiderfied_ = null;
+  var valueProperty_ = "value";
+  var aggregate_ = null;
+
+  /**
+   * Get the value of a marker for aggregation.
+   * @param {GMarker} marker
+   * @return {Number}
+   */
+  function getValue_(marker) {
+    var value = Number(marker.options[valueProperty_]);
+    return isNaN(value) ? 0 : value;
+  }
+
+  var aggregates = {
+    'count': function (markers) {
+      return markers.length;
+    },
+    'sum': function (markers) {
+      var sum = 0;
+      for (var i = 0; i < markers.length; ++i) {
+        sum += getValue_(markers[i]);
+      }
+      return sum;
+    },
+    'mean': function (markers) {
+      return markers.length === 0 ? 0 : aggregates.sum(markers) / markers.length;
+    },
+    'max': function (markers) {
+      var max = markers.length === 0 ? 0 : -Infinity;
+      for (var i = 0; i < markers.length; ++i) {
+        max = Math.max(max, getValue_(markers[i]));
+      }
+      return max;
+    }
+  };
+  aggregate_ = aggregates.count;
+  var calculator_ = null;
+  var iconCreateFunction_ = null;
+  var viewportPadding_ = 0;
+  var clusterAll_ = false;
+  var animate_ = false;
+  var animation_ = null;
+  var animationEndFrame_ = null;
+  var lastZoom_ = null;
+  var showCoverage_ = false;
+  var coverageShape_ = "hull";
+  var coverageStyle_ = {'weight': 1.5, 'opacity': 0.5, 'fillOpacity': 0.2};
+  var coverage_ = null;
+  var centerStrategy_ = "first";
+  var isWorker_ = false;
+  var worker_ = null;
+  var points_ = [];
+  var loadedPoints_ = [];
+  var isWorkerDirty_ = false;
+  var workerRequest_ = 0;
+  var workerAnswer_ = 0;
+  var workerZoom_ = null;
+  var workerLoad_ = 0;
+  var workerRequestLoad_ = 0;
+  var workerLayersLoad_ = 0;
+  var workerLayers_ = {};
+  var workerFrame_ = null;
+  var membersRequest_ = 0;
+  var membersCallbacks_ = {};
+  var featureCount_ = 0;
+  var owners_ = {};
+  var filter_ = null;
+  var filtered_ = [];
+  var categoryFn_ = null;
+  var clusterByCategory_ = false;
+  var categoryIcon_ = null;
+  var categoryColors_ = {};
+  var palette_ = ["#377eb8", "#e41a1c", "#4daf4a", "#984ea3", "#ff7f00", "#a65628", "#f781bf", "#999999"];
+  var paletteIndex_ = 0;
+  var pointToLayer_ = function (point) {
+    return new L.Marker(new L.LatLng(point.lat, point.lng));
+  };
+  var renderer_ = "dom";
+  var canvas_ = null;
+  var heatmapZoom_ = null;
+  var heatmapRadius_ = 25;
+  var heatmapGradient_ = {0.4: "blue", 0.6: "cyan", 0.7: "lime", 0.8: "yellow", 1: "red"};
+  var heatmap_ = null;
 
   var i = 0;
   for (i = 1; i <= 5; ++i) {
@@ -96,16 +410,194 @@ function LeafClusterer(map, opt_markers, opt_opts) {
     });
   }
 
+  /**
+   * Apply options, ignoring the ones with invalid values. The worker,
+   * precompute and filter options are not applied here.
+   * @param {LeafClustererOptions} opts
+   */
+  function setOptions_(opts) {
+    if (typeof opts.gridSize === "number" && opts.gridSize > 0) {
+      gridSize_ = opts.gridSize;
+      gridSizeByZoom_ = null;
+    } else if (typeof opts.gridSize === "function" ||
+        (typeof opts.gridSize === "object" && opts.gridSize !== null)) {
+      gridSizeByZoom_ = opts.gridSize;
+    }
+    if (typeof opts.minClusterSize === "number" && opts.minClusterSize >= 1) {
+      minClusterSize_ = opts.minClusterSize;
+    }
+    if (typeof opts.disableClusteringAtZoom === "number" || opts.disableClusteringAtZoom === null) {
+      disableClusteringAtZoom_ = opts.disableClusteringAtZoom;
+    }
+    if (typeof opts.ariaLabel === "function") {
+      ariaLabel_ = opts.ariaLabel;
+    }
+    if (opts.liveRegion === true) {
+      liveRegion_ = function (clusters, markers) {
+        return clusters + " clusters, " + markers + " locations in view";
+      };
+    } else if (typeof opts.liveRegion === "function" || opts.liveRegion === false) {
+      liveRegion_ = opts.liveRegion || null;
+    }
+    if (opts.clusterPopup === true) {
+      clusterPopup_ = listMarkers_;
+    } else if (typeof opts.clusterPopup === "function" || opts.clusterPopup === false) {
+      clusterPopup_ = opts.clusterPopup || null;
+    }
+    if (opts.clusterTooltip === true) {
+      clusterTooltip_ = listMarkers_;
+    } else if (typeof opts.clusterTooltip === "function" || opts.clusterTooltip === false) {
+      clusterTooltip_ = opts.clusterTooltip || null;
+    }
+    if (typeof opts.clusterPageSize === "number" && opts.clusterPageSize >= 1) {
+      clusterPageSize_ = opts.clusterPageSize;
+    }
+    if (typeof opts.algorithm === "function" || opts.algorithm === null) {
+      algorithm_ = opts.algorithm;
+    } else if (LeafClusterer.algorithms.hasOwnProperty(opts.algorithm)) {
+      algorithm_ = LeafClusterer.algorithms[opts.algorithm];
+    }
+    if (typeof opts.maxZoom === "number" || opts.maxZoom === null) {
+      maxZoom_ = opts.maxZoom;
+    }
+    if (typeof opts.styles === "object" && opts.styles !== null && opts.styles.length !== 0) {
+      styles_ = opts.styles;
+    }
+    if (typeof opts.zoomOnClick === "boolean") {
+      zoomOnClick_ = opts.zoomOnClick;
+    }
+    if (typeof opts.spiderfy === "boolean") {
+      spiderfy_ = opts.spiderfy;
+    }
+    if (typeof opts.spiderLegStyle === "object" && opts.spiderLegStyle !== null) {
+      spiderLegStyle_ = opts.spiderLegStyle;
+    }
+    if (typeof opts.valueProperty === "string") {
+      valueProperty_ = opts.valueProperty;
+    }
+    if (typeof opts.aggregate === "function") {
+      aggregate_ = opts.aggregate;
+    } else if (aggregates.hasOwnProperty(opts.aggregate)) {
+      aggregate_ = aggregates[opts.aggregate];
+    }
+    if (typeof opts.calculator === "function" || opts.calculator === null) {
+      calculator_ = opts.calculator;
+    }
+    if (typeof opts.iconCreateFunction === "function" || opts.iconCreateFunction === null) {
+      iconCreateFunction_ = opts.iconCreateFunction;
+    }
+    if (typeof opts.viewportPadding === "number" && opts.viewportPadding >= 0) {
+      viewportPadding_ = opts.viewportPadding;
+    }
+    if (typeof opts.clusterAll === "boolean") {
+      clusterAll_ = opts.clusterAll;
+    }
+    if (typeof opts.animate === "boolean") {
+      animate_ = opts.animate;
+    }
+    if (typeof opts.showCoverageOnHover === "boolean") {
+      showCoverage_ = opts.showCoverageOnHover;
+    }
+    if (opts.coverageShape === "hull" || opts.coverageShape === "bounds") {
+      coverageShape_ = opts.coverageShape;
+    }
+    if (typeof opts.coverageStyle === "object" && opts.coverageStyle !== null) {
+      coverageStyle_ = opts.coverageStyle;
+    }
+    if (opts.centerStrategy === "first" || opts.centerStrategy === "centroid" ||
+        opts.centerStrategy === "weighted" || opts.centerStrategy === "medoid") {
+      centerStrategy_ = opts.centerStrategy;
+    }
+    if (typeof opts.pointToLayer === "function") {
+      pointToLayer_ = opts.pointToLayer;
+    }
+    if (typeof opts.categoryFn === "function" || opts.categoryFn === null) {
+      categoryFn_ = opts.categoryFn;
+    }
+    if (typeof opts.clusterByCategory === "boolean") {
+      clusterByCategory_ = opts.clusterByCategory;
+    }
+    if (opts.categoryIcon === "pie" || opts.categoryIcon === "donut" || opts.categoryIcon === null) {
+      categoryIcon_ = opts.categoryIcon;
+    }
+    if (typeof opts.categoryColors === "object" && opts.categoryColors !== null) {
+      categoryColors_ = L.Util.extend({}, opts.categoryColors);
+    }
+    if (opts.renderer === "dom" || opts.renderer === "canvas") {
+      renderer_ = opts.renderer;
+    }
+    if (typeof opts.heatmapZoom === "number" || opts.heatmapZoom === null) {
+      heatmapZoom_ = opts.heatmapZoom;
+    }
+    if (typeof opts.heatmapRadius === "number" && opts.heatmapRadius > 0) {
+      heatmapRadius_ = opts.heatmapRadius;
+    }
+    if (isGradient_(opts.heatmapGradient)) {
+      heatmapGradient_ = opts.heatmapGradient;
+    }
+  }
+
   if (typeof opt_opts === "object" && opt_opts !== null) {
-    if (typeof opt_opts.gridSize === "number" && opt_opts.gridSize > 0) {
-      gridSize_ = opt_opts.gridSize;
+    setOptions_(opt_opts);
+    if (typeof opt_opts.filter === "function") {
+      filter_ = opt_opts.filter;
+    }
+    if (typeof opt_opts.provider === "function") {
+      provider_ = opt_opts.provider;
+    }
+    if (opt_opts.worker === true) {
+      // The worker is started when the LeafClusterer is added to a map.
+      isWorker_ = true;
     }
-    if (typeof opt_opts.maxZoom === "number") {
-      maxZoom_ = opt_opts.maxZoom;
+    if (opt_opts.precompute === true && !isWorker_) {
+      index_ = createIndex_();
     }
-    if (typeof opt_opts.styles === "object" && opt_opts.styles !== null && opt_opts.styles.length !== 0) {
-      styles_ = opt_opts.styles;
+  }
+
+  /**
+   * Get the grid size of a cluster at a zoom level.
+   * @param {Number} zoom
+   * @return {Number}
+   */
+  function getZoomGridSize_(zoom) {
+    var size = gridSize_;
+    if (typeof gridSizeByZoom_ === "function") {
+      size = gridSizeByZoom_(zoom);
+    } else if (gridSizeByZoom_ !== null) {
+      var from = -Infinity;
+      for (var key in gridSizeByZoom_) {
+        if (gridSizeByZoom_.hasOwnProperty(key) && Number(key) <= zoom && Number(key) > from) {
+          from = Number(key);
+          size = gridSizeByZoom_[key];
+        }
+      }
+    }
+    return typeof size === "number" && size > 0 ? size : gridSize_;
+  }
+
+  /**
+   * Get the grid sizes for the index: a number, or, if they differ per
+   * zoom level, an array of them by zoom level.
+   * @return {Number|Array of Number}
+   */
+  function getIndexGridSize_() {
+    if (gridSizeByZoom_ === null) {
+      return gridSize_;
     }
+    var sizes = [];
+    for (var z = 0; z <= LEAFCLUSTERER_MAX_INDEX_ZOOM_; ++z) {
+      sizes.push(getZoomGridSize_(z));
+    }
+    return sizes;
+  }
+
+  /**
+   * Create the index of the precompute option.
+   * @return {LeafClustererCore.ClusterIndex}
+   */
+  function createIndex_() {
+    // The zoom range is set when added to a map.
+    return new LeafClustererCore.ClusterIndex(getIndexGridSize_(), 0, 18, clusterByCategory_ ? categoryFn_ : null);
   }
 
   /**
@@ -122,215 +614,2371 @@ function LeafClusterer(map, opt_markers, opt_opts) {
       me_.addMarker(leftMarkers_[i], true, null, null, true);
     }
     leftMarkers_ = leftMarkers;
+    leftClusters_ = null;
   }
 
   /**
-   * Get cluster marker images of this marker cluster. Mostly used by {@link Cluster}
-   * @private
-   * @return {Array of String}
+   * Get the zoom level from which the index holds single markers.
+   * @return {Number}
    */
-  this.getStyles_ = function () {
-    return styles_;
-  };
+  function getIndexMaxZoom_() {
+    var mz = maxZoom_;
+    if (mz === null) {
+      mz = map_.getMaxZoom();
+    }
+    if (disableClusteringAtZoom_ !== null) {
+      mz = Math.min(mz, disableClusteringAtZoom_);
+    }
+    return isFinite(mz) ? Math.min(mz, LEAFCLUSTERER_MAX_INDEX_ZOOM_) : 18;
+  }
 
   /**
-   * Remove all markers from LeafClusterer.
+   * Get the deepest zoom level the index or the worker clusters. With
+   * spiderfy, they go one level past getIndexMaxZoom_, so that markers at
+   * the same place are still clustered at the max zoom level, to spiderfy;
+   * unless clustering is disabled there.
+   * @return {Number}
    */
-  this.clearMarkers = function () {
-    for (var i = 0; i < clusters_.length; ++i) {
-      if (typeof clusters_[i] !== "undefined" && clusters_[i] !== null) {
-        clusters_[i].clearMarkers();
+  function getIndexDepth_() {
+    var mz = getIndexMaxZoom_();
+    if (spiderfy_ && (disableClusteringAtZoom_ === null || disableClusteringAtZoom_ > mz)) {
+      return mz + 1;
+    }
+    return mz;
+  }
+
+  /**
+   * Get all markers of the LeafClusterer, whether clustered or not.
+   * @return {Array of GMarker}
+   */
+  function getAllMarkers_() {
+    var i;
+    if (isWorker_) {
+      return points_.slice(0);
+    }
+    if (index_ !== null) {
+      return index_.getMarkers().slice(0);
+    }
+    var markers = leftMarkers_.slice(0);
+    for (i = 0; i < clusters_.length; ++i) {
+      var mks = clusters_[i].getMarkers();
+      for (var j = 0; j < mks.length; ++j) {
+        markers.push(mks[j].marker);
       }
     }
-    clusters_ = [];
-    leftMarkers_ = [];
-    map.off(mcfn_);
-  };
+    return markers;
+  }
 
   /**
-   * Check a marker, whether it is in current map viewport.
-   * @private
-   * @return {Boolean} if it is in current map viewport
+   * Check whether a marker is rejected by the filter.
+   * @param {GMarker} marker
+   * @return {Boolean}
    */
-  function isMarkerInViewport_(marker) {
-    return map_.getBounds().contains(marker.getLatLng());
+  function isFilteredOut_(marker) {
+    return filter_ !== null && !filter_(marker);
   }
 
   /**
-   * When reset LeafClusterer, there will be some markers get out of its cluster.
-   * These markers should be add to new clusters.
-   * @param {Array of GMarker} markers Markers to add.
+   * Get the markers rejected by the filter.
+   * @return {Array of GMarker}
    */
-  function reAddMarkers_(markers) {
-    var len = markers.length;
-    var clusters = [];
-    for (var i = len - 1; i >= 0; --i) {
-      me_.addMarker(markers[i].marker, true, markers[i].isAdded, clusters, true);
-    }
-    addLeftMarkers_();
+  function getFilteredMarkers_() {
+    return filtered_.slice(0);
   }
 
   /**
-   * Add a marker.
-   * @private
-   * @param {GMarker} marker Marker you want to add
-   * @param {Boolean} opt_isNodraw Whether redraw the cluster contained the marker
-   * @param {Boolean} opt_isAdded Whether the marker is added to map. Never use it.
-   * @param {Array of Cluster} opt_clusters Provide a list of clusters, the marker
-   *     cluster will only check these cluster where the marker should join.
+   * Get the layer the LeafClusterer holds for a marker: for the marker of a
+   * point, the layer standing in for it.
+   * @param {GMarker} marker
+   * @return {GMarker}
    */
-  this.addMarker = function (marker, opt_isNodraw, opt_isAdded, opt_clusters, opt_isNoCheck) {
-    if (opt_isNoCheck !== true) {
-      if (!isMarkerInViewport_(marker)) {
-        leftMarkers_.push(marker);
-        return;
+  function getLayer_(marker) {
+    return marker.pointLayer_ instanceof PointLayer_ ? marker.pointLayer_ : marker;
+  }
+
+  /**
+   * Remove the layers shown from the results of the worker.
+   */
+  function clearWorkerLayers_() {
+    for (var id in workerLayers_) {
+      if (workerLayers_.hasOwnProperty(id)) {
+        map_.removeLayer(workerLayers_[id].layer);
       }
     }
+    workerLayers_ = {};
+    workerZoom_ = null;
+  }
 
-    var isAdded = opt_isAdded;
-    var clusters = opt_clusters;
-    var pos = map_.latLngToLayerPoint(marker.getLatLng());
-
-    if (typeof isAdded !== "boolean") {
-      isAdded = false;
-    }
-    if (typeof clusters !== "object" || clusters === null) {
-      clusters = clusters_;
-    }
+  /**
+   * Start the worker, when the LeafClusterer is added to a map.
+   */
+  function startWorker_() {
+    worker_ = createClusterWorker_();
+    worker_.onmessage = function (e) {
+      onWorkerMessage_(e.data);
+    };
+    isWorkerDirty_ = true;
+  }
 
-    var length = clusters.length;
-    var cluster = null;
-    for (var i = length - 1; i >= 0; i--) {
-      cluster = clusters[i];
-      var center = cluster.getCenter();
-      if (center === null) {
-        continue;
+  /**
+   * Terminate the worker, when the LeafClusterer is removed from its map.
+   * The requests for members it did not answer get no members.
+   */
+  function stopWorker_() {
+    worker_.terminate();
+    worker_ = null;
+    var callbacks = membersCallbacks_;
+    membersCallbacks_ = {};
+    for (var id in callbacks) {
+      if (callbacks.hasOwnProperty(id)) {
+        callbacks[id]({});
       }
-      center = map_.latLngToLayerPoint(center);
+    }
+  }
 
-      // Found a cluster which contains the marker.
-      if (pos.x >= center.x - gridSize_ && pos.x <= center.x + gridSize_ &&
-          pos.y >= center.y - gridSize_ && pos.y <= center.y + gridSize_) {
-        cluster.addMarker({
-          'isAdded': isAdded,
-          'marker': marker
-        });
-        if (!opt_isNodraw) {
-          cluster.redraw_();
-        }
-        return;
+  /**
+   * Ask the worker for the clusters in the viewport, sending it the positions
+   * of the points first if they changed. The clusters shown are replaced
+   * once it answers after loading, as the ids of clusters and the indexes of
+   * points change.
+   */
+  function requestWorkerClusters_() {
+    if (isWorkerDirty_) {
+      var coords = new Float64Array(points_.length * 2);
+      for (var i = 0; i < points_.length; ++i) {
+        var latlng = points_[i].getLatLng();
+        coords[2 * i] = latlng.lat;
+        coords[2 * i + 1] = latlng.lng;
       }
+      // The worker answers with indexes into the points as loaded.
+      loadedPoints_ = points_.slice(0);
+      worker_.postMessage({
+        'type': "load",
+        'gridSize': getIndexGridSize_(),
+        'minZoom': map_.getMinZoom(),
+        'maxZoom': getIndexDepth_(),
+        'coords': coords
+      }, [coords.buffer]);
+      isWorkerDirty_ = false;
+      workerLoad_++;
     }
+    workerRequestLoad_ = workerLoad_;
 
-    // No cluster contain the marker, create a new cluster.
-    cluster = new Cluster(this, map);
-    cluster.addMarker({
-      'isAdded': isAdded,
-      'marker': marker
-    });
-    if (!opt_isNodraw) {
-      cluster.redraw_();
+    var bounds = me_.getClusteringBounds_();
+    if (bounds === null) {
+      bounds = new L.LatLngBounds(new L.LatLng(-90, -180), new L.LatLng(90, 180));
     }
+    var sw = bounds.getSouthWest();
+    var ne = bounds.getNorthEast();
+    worker_.postMessage({
+      'type': "clusters",
+      'requestId': ++workerRequest_,
+      'west': sw.lng,
+      'south': sw.lat,
+      'east': ne.lng,
+      'north': ne.lat,
+      'zoom': map_.getZoom(),
+      'minClusterSize': minClusterSize_
+    });
+  }
 
-    // Add this cluster both in clusters provided and clusters_
-    clusters.push(cluster);
-    if (clusters !== clusters_) {
-      clusters_.push(cluster);
+  /**
+   * Ask the worker for the clusters again on the next animation frame, so
+   * that markers added or removed one by one are sent to it once.
+   */
+  function scheduleWorkerClusters_() {
+    if (workerFrame_ !== null || map_ === null) {
+      return;
     }
-  };
+    workerFrame_ = L.Util.requestAnimFrame(function () {
+      workerFrame_ = null;
+      if (map_ !== null) {
+        me_.resetViewport();
+      }
+    });
+  }
 
   /**
-   * Remove a marker.
-   *
-   * @param {GMarker} marker The marker you want to remove.
+   * Show the clusters the worker answered with. Answers to requests made
+   * before the last one are dropped.
+   * @param {Object} msg
    */
+  function onWorkerMessage_(msg) {
+    if (msg.type === "members") {
+      var callback = membersCallbacks_[msg.requestId];
+      delete membersCallbacks_[msg.requestId];
+      if (typeof callback === "function") {
+        callback(msg.members);
+      }
+      return;
+    }
+    if (msg.type !== "clusters" || msg.requestId !== workerRequest_ || map_ === null) {
+      return;
+    }
+    workerAnswer_ = msg.requestId;
+    if (msg.zoom !== workerZoom_ || workerRequestLoad_ !== workerLayersLoad_) {
+      clearWorkerLayers_();
+      workerZoom_ = msg.zoom;
+      workerLayersLoad_ = workerRequestLoad_;
+    }
 
-  this.removeMarker = function (marker) {
-    for (var i = 0; i < clusters_.length; ++i) {
-      if (clusters_[i].remove(marker)) {
-        clusters_[i].redraw_();
-        return;
+    // Each cluster is sent as id, lat, lng, count, point index or -1.
+    var clusters = msg.clusters;
+    var shown = {};
+    var id;
+    for (var i = 0; i < clusters.length; i += 5) {
+      id = clusters[i];
+      shown[id] = true;
+      if (workerLayers_.hasOwnProperty(id)) {
+        continue;
+      }
+      var latlng = new L.LatLng(clusters[i + 1], clusters[i + 2]);
+      var layer;
+      if (clusters[i + 4] >= 0) {
+        layer = loadedPoints_[clusters[i + 4]];
+      } else {
+        var label = getLabel_(clusters[i + 3]);
+        label.ariaLabel = ariaLabel_(clusters[i + 3]);
+        layer = new ClusterMarker_(latlng, label, styles_, me_.getGridSize_() / 2, null, null, canvas_);
       }
+      map_.addLayer(layer);
+      workerLayers_[id] = {
+        'layer': layer,
+        'latlng': latlng,
+        'count': clusters[i + 3]
+      };
     }
-  };
+    for (id in workerLayers_) {
+      if (workerLayers_.hasOwnProperty(id) && !shown[id]) {
+        map_.removeLayer(workerLayers_[id].layer);
+        delete workerLayers_[id];
+      }
+    }
+
+    me_.fire('clusteringend');
+    fireAnimationEnd_();
+  }
 
   /**
-   * Redraw all clusters in viewport.
+   * Get the default label of a cluster marker for a value: the rounded value,
+   * and the index of the style by its number of decimal digits.
+   * @param {Number} value
+   * @return {Object} The label, as {text, index}.
    */
-  this.redraw_ = function () {
-    var clusters = this.getClustersInViewport_();
-    for (var i = 0; i < clusters.length; ++i) {
-      clusters[i].redraw_(true);
+  function getLabel_(value) {
+    var index = 0;
+    // NaN and infinite values, e.g. from an aggregate, get the first style.
+    var dv = isFinite(value) ? Math.abs(value) : 0;
+    while (dv !== 0) {
+      dv = Math.floor(dv / 10);
+      index ++;
     }
-  };
+    return {
+      'text': Math.round(value),
+      'index': Math.min(index, styles_.length)
+    };
+  }
 
   /**
-   * Get all clusters in viewport.
-   * @return {Array of Cluster}
+   * Show the clusters of the provider in the tiles of the viewport: the
+   * cached ones right away, the others once the provider answered.
    */
-  this.getClustersInViewport_ = function () {
-    var clusters = [];
-    var curBounds = map_.getBounds();
-    for (var i = 0; i < clusters_.length; i ++) {
-      if (clusters_[i].isInBounds(curBounds)) {
-        clusters.push(clusters_[i]);
+  function requestProviderTiles_() {
+    var zoom = map_.getZoom();
+    var bounds = map_.getBounds();
+    if (viewportPadding_ > 0) {
+      bounds = bounds.pad(viewportPadding_);
+    }
+    var nw = map_.project(bounds.getNorthWest(), zoom);
+    var se = map_.project(bounds.getSouthEast(), zoom);
+    var max = Math.pow(2, zoom) - 1;
+    var tiles = {};
+    var key;
+    for (var x = Math.max(0, Math.floor(nw.x / 256)); x <= Math.min(max, Math.floor(se.x / 256)); ++x) {
+      for (var y = Math.max(0, Math.floor(nw.y / 256)); y <= Math.min(max, Math.floor(se.y / 256)); ++y) {
+        tiles[zoom + "/" + x + "/" + y] = {'x': x, 'y': y, 'zoom': zoom};
       }
     }
-    return clusters;
-  };
+
+    for (key in providerTiles_) {
+      if (providerTiles_.hasOwnProperty(key) && !tiles.hasOwnProperty(key)) {
+        hideProviderTile_(key);
+      }
+    }
+    for (key in providerRequests_) {
+      if (providerRequests_.hasOwnProperty(key) && !tiles.hasOwnProperty(key)) {
+        cancelProviderRequest_(key);
+      }
+    }
+
+    // Requests still pending already fired clusteringbegin.
+    if (!isProviderLoading_) {
+      isProviderLoading_ = true;
+      me_.fire('clusteringbegin');
+    }
+    // The provider may answer right away, before the other tiles are asked.
+    isProviderRequesting_ = true;
+    for (key in tiles) {
+      if (tiles.hasOwnProperty(key)) {
+        if (providerCache_.hasOwnProperty(key)) {
+          showProviderTile_(key);
+        } else if (!providerRequests_.hasOwnProperty(key)) {
+          requestProviderTile_(key, tiles[key]);
+        }
+      }
+    }
+    isProviderRequesting_ = false;
+    endProviderLoading_();
+  }
 
   /**
-   * Get max zoom level.
-   * @private
-   * @return {Number}
+   * Fire clusteringend once the provider answered for all tiles in view.
    */
-  this.getMaxZoom_ = function () {
-    return maxZoom_;
+  function endProviderLoading_() {
+    if (isProviderLoading_ && !isProviderRequesting_ && providerPending_ === 0) {
+      isProviderLoading_ = false;
+      me_.fire('clusteringend');
+      fireAnimationEnd_();
+    }
+  }
+
+  /**
+   * Ask the provider for the clusters of a tile.
+   * @param {String} key The key of the tile, as "zoom/x/y".
+   * @param {Object} tile The tile, as {x, y, zoom}.
+   */
+  function requestProviderTile_(key, tile) {
+    var request = {
+      'isDone': false,
+      'controller': typeof AbortController !== "undefined" ? new AbortController() : null
+    };
+    providerRequests_[key] = request;
+    providerPending_++;
+
+    var finish = function (clusters) {
+      if (request.isDone) {
+        return;
+      }
+      request.isDone = true;
+      delete providerRequests_[key];
+      providerPending_--;
+      if (clusters !== null) {
+        cacheProviderTile_(key, clusters);
+        showProviderTile_(key);
+      }
+      endProviderLoading_();
+    };
+    var query = {
+      'x': tile.x,
+      'y': tile.y,
+      'zoom': tile.zoom,
+      'bounds': new L.LatLngBounds(
+          map_.unproject(new L.Point(tile.x * 256, (tile.y + 1) * 256), tile.zoom),
+          map_.unproject(new L.Point((tile.x + 1) * 256, tile.y * 256), tile.zoom)),
+      'signal': request.controller !== null ? request.controller.signal : null
+    };
+    var result;
+    try {
+      result = provider_(query, function (clusters) {
+        finish(clusters || []);
+      });
+    } catch (e) {
+      // Like a failed answer, so that the other tiles are still asked for.
+      finish(null);
+      return;
+    }
+    if (result && typeof result.then === "function") {
+      result.then(function (clusters) {
+        finish(clusters || []);
+      }, function () {
+        // Failed answers are not cached, so the tile is asked for again.
+        finish(null);
+      });
+    }
+  }
+
+  /**
+   * Cancel the request of a tile which left the viewport.
+   * @param {String} key
+   */
+  function cancelProviderRequest_(key) {
+    var request = providerRequests_[key];
+    request.isDone = true;
+    if (request.controller !== null) {
+      request.controller.abort();
+    }
+    delete providerRequests_[key];
+    providerPending_--;
+  }
+
+  /**
+   * Cache the clusters of a tile, dropping the tiles cached first if there
+   * are too many.
+   * @param {String} key
+   * @param {Array of Object} clusters
+   */
+  function cacheProviderTile_(key, clusters) {
+    if (!providerCache_.hasOwnProperty(key)) {
+      providerCacheKeys_.push(key);
+    }
+    providerCache_[key] = clusters;
+    while (providerCacheKeys_.length > LEAFCLUSTERER_PROVIDER_CACHE_SIZE_) {
+      delete providerCache_[providerCacheKeys_.shift()];
+    }
+  }
+
+  /**
+   * Show the cached clusters of a tile.
+   * @param {String} key
+   */
+  function showProviderTile_(key) {
+    if (providerTiles_.hasOwnProperty(key)) {
+      return;
+    }
+    var clusters = providerCache_[key];
+    var layers = [];
+    for (var i = 0; i < clusters.length; ++i) {
+      var layer;
+      var latlng = new L.LatLng(clusters[i].lat, clusters[i].lng);
+      if (clusters[i].count > 1) {
+        var label = getLabel_(clusters[i].count);
+        label.ariaLabel = ariaLabel_(clusters[i].count);
+        layer = new ClusterMarker_(latlng, label, styles_, me_.getGridSize_() / 2, null, null, canvas_);
+      } else {
+        layer = pointToLayer_(clusters[i]);
+      }
+      map_.addLayer(layer);
+      layers.push({
+        'layer': layer,
+        'latlng': latlng,
+        'count': clusters[i].count
+      });
+    }
+    providerTiles_[key] = layers;
+  }
+
+  /**
+   * Remove the clusters of a tile from the map.
+   * @param {String} key
+   */
+  function hideProviderTile_(key) {
+    var layers = providerTiles_[key];
+    for (var i = 0; i < layers.length; ++i) {
+      map_.removeLayer(layers[i].layer);
+    }
+    delete providerTiles_[key];
+  }
+
+  /**
+   * Remove the clusters of the provider from the map, and cancel the
+   * requests still pending.
+   */
+  function clearProviderTiles_() {
+    var key;
+    for (key in providerTiles_) {
+      if (providerTiles_.hasOwnProperty(key)) {
+        hideProviderTile_(key);
+      }
+    }
+    for (key in providerRequests_) {
+      if (providerRequests_.hasOwnProperty(key)) {
+        cancelProviderRequest_(key);
+      }
+    }
+    isProviderLoading_ = false;
+  }
+
+  /**
+   * Drop the clusters shown from the index, e.g. because the index has
+   * to be rebuilt or the zoom level changed.
+   */
+  function clearIndexClusters_() {
+    for (var id in indexClusters_) {
+      if (indexClusters_.hasOwnProperty(id)) {
+        indexClusters_[id].clearMarkers();
+      }
+    }
+    indexClusters_ = {};
+    indexZoom_ = null;
+    clusters_ = [];
+  }
+
+  /**
+   * Show the clusters of the index again on the next animation frame, so that
+   * markers added or removed one by one rebuild the index once.
+   */
+  function scheduleIndexViewport_() {
+    if (indexFrame_ !== null || map_ === null) {
+      return;
+    }
+    indexFrame_ = L.Util.requestAnimFrame(function () {
+      indexFrame_ = null;
+      if (map_ !== null) {
+        resetIndexViewport_();
+      }
+    });
+  }
+
+  /**
+   * Show the precomputed clusters of the current zoom level which intersect
+   * the viewport. Clusters which were already shown are kept as they are.
+   */
+  function resetIndexViewport_() {
+    if (heatmap_ !== null) {
+      updateHeatmap_();
+      return;
+    }
+    var zoom = map_.getZoom();
+    if (zoom !== indexZoom_) {
+      clearIndexClusters_();
+      indexZoom_ = zoom;
+    }
+
+    var bounds = me_.getClusteringBounds_();
+    if (bounds === null) {
+      bounds = new L.LatLngBounds(new L.LatLng(-90, -180), new L.LatLng(90, 180));
+    }
+    var nodes = index_.getClusters(bounds, zoom);
+    var shown = {};
+    var id;
+    for (var i = 0; i < nodes.length; ++i) {
+      id = nodes[i].id;
+      shown[id] = true;
+      if (indexClusters_.hasOwnProperty(id)) {
+        continue;
+      }
+      var cluster = new Cluster(me_);
+      var leaves = index_.getLeaves(nodes[i]);
+      for (var j = 0; j < leaves.length; ++j) {
+        cluster.addMarker({
+          'isAdded': false,
+          'marker': leaves[j]
+        });
+      }
+      cluster.redraw_(true);
+      indexClusters_[id] = cluster;
+    }
+
+    clusters_ = [];
+    for (id in indexClusters_) {
+      if (indexClusters_.hasOwnProperty(id)) {
+        if (shown[id]) {
+          clusters_.push(indexClusters_[id]);
+        } else {
+          indexClusters_[id].clearMarkers();
+          delete indexClusters_[id];
+        }
+      }
+    }
+  }
+
+  /**
+   * Fire a cluster event.
+   * @private
+   * @param {String} type The event type, like "clusterclick".
+   * @param {Cluster} cluster The cluster the event happened on.
+   * @param {Event} opt_originalEvent The DOM event.
+   */
+  this.fireClusterEvent_ = function (type, cluster, opt_originalEvent) {
+    var mks = cluster.getMarkers();
+    var markers = [];
+    for (var i = 0; i < mks.length; ++i) {
+      markers.push(mks[i].marker);
+    }
+    this.fire(type, {
+      'cluster': cluster,
+      'markers': markers,
+      'bounds': cluster.getBounds(),
+      'latlng': cluster.getCenter(),
+      'originalEvent': opt_originalEvent
+    });
+  };
+
+  /**
+   * Whether clicking a cluster marker should zoom to the cluster.
+   * @private
+   * @return {Boolean}
+   */
+  this.isZoomOnClick_ = function () {
+    return zoomOnClick_;
+  };
+
+  /**
+   * Whether clusters which cannot be split any further are spiderfied.
+   * @private
+   * @return {Boolean}
+   */
+  this.isSpiderfy_ = function () {
+    return spiderfy_;
+  };
+
+  /**
+   * Get the path options of spider legs.
+   * @private
+   * @return {Object}
+   */
+  this.getSpiderLegStyle_ = function () {
+    return spiderLegStyle_;
+  };
+
+  /**
+   * Set the cluster which is spiderfied, collapsing the one spiderfied before.
+   * @private
+   * @param {Cluster} cluster The spiderfied cluster or null.
+   */
+  this.setSpiderfied_ = function (cluster) {
+    if (spiderfied_ !== null && spiderfied_ !== cluster) {
+      spiderfied_.unspiderfy();
+    }
+    spiderfied_ = cluster;
+  };
+
+  /**
+   * Get the position of a marker, which is not where it is shown while its
+   * cluster is spiderfied.
+   * @private
+   * @param {GMarker} marker
+   * @return {GLatLng}
+   */
+  this.getMarkerLatLng_ = function (marker) {
+    return spiderfied_ !== null ? spiderfied_.getMarkerLatLng_(marker) : marker.getLatLng();
+  };
+
+  /**
+   * Collapse the markers of the spiderfied cluster, if any.
+   */
+  this.unspiderfy = function () {
+    if (spiderfied_ !== null) {
+      spiderfied_.unspiderfy();
+    }
+  };
+
+  /**
+   * Aggregate the values of some markers with the aggregate option.
+   * @private
+   * @param {Array of GMarker} markers
+   * @return {Number}
+   */
+  this.getAggregate_ = function (markers) {
+    return aggregate_(markers);
+  };
+
+  /**
+   * Get the label of a cluster marker with the calculator option.
+   * @private
+   * @param {Cluster} cluster
+   * @return {Object} The label, as {text, index}.
+   */
+  this.calculate_ = function (cluster) {
+    if (calculator_ !== null) {
+      var mks = cluster.getMarkers();
+      var markers = [];
+      for (var i = 0; i < mks.length; ++i) {
+        markers.push(mks[i].marker);
+      }
+      return calculator_(markers, styles_.length);
+    }
+
+    return getLabel_(cluster.getAggregate());
+  };
+
+  /**
+   * Create the icon of a cluster marker with the iconCreateFunction option.
+   * @private
+   * @param {Cluster} cluster
+   * @return {L.Icon} The icon, or null to render the styles.
+   */
+  this.createIcon_ = function (cluster) {
+    if (iconCreateFunction_ === null) {
+      if (categoryIcon_ !== null && categoryFn_ !== null) {
+        return createCategoryIcon_(cluster);
+      }
+      return null;
+    }
+    return iconCreateFunction_(cluster);
+  };
+
+  /**
+   * Get the label screen readers announce for a cluster marker.
+   * @private
+   * @param {Number} count The number of markers in the cluster.
+   * @return {String}
+   */
+  this.getAriaLabel_ = function (count) {
+    return ariaLabel_(count);
+  };
+
+  /**
+   * Announce the clusters and markers in view in the live region.
+   */
+  function updateLiveRegion_() {
+    var bounds = map_.getBounds();
+    var clusters = 0;
+    var markers = 0;
+    var layers = [];
+    var key;
+    if (provider_ !== null) {
+      for (key in providerTiles_) {
+        if (providerTiles_.hasOwnProperty(key)) {
+          layers = layers.concat(providerTiles_[key]);
+        }
+      }
+    } else if (isWorker_) {
+      for (key in workerLayers_) {
+        if (workerLayers_.hasOwnProperty(key)) {
+          layers.push(workerLayers_[key]);
+        }
+      }
+    }
+    if (provider_ !== null || isWorker_) {
+      for (var j = 0; j < layers.length; ++j) {
+        if (bounds.contains(layers[j].latlng)) {
+          clusters += layers[j].count > 1 ? 1 : 0;
+          markers += layers[j].count;
+        }
+      }
+    } else {
+      for (var i = 0; i < clusters_.length; ++i) {
+        var center = clusters_[i].getCenter();
+        if (center !== null && bounds.contains(center)) {
+          var clusterMarker = clusters_[i].getClusterMarker_();
+          if (clusterMarker !== null && !clusterMarker.isHidden()) {
+            clusters++;
+          }
+          markers += clusters_[i].getTotalMarkers();
+        }
+      }
+    }
+    liveRegionDiv_.innerHTML = "";
+    liveRegionDiv_.appendChild(document.createTextNode(liveRegion_(clusters, markers)));
+  }
+
+  /**
+   * Get the category of a marker with the categoryFn option.
+   * @private
+   * @param {GMarker} marker
+   * @return {String} The category, or null without categoryFn.
+   */
+  this.getCategory_ = function (marker) {
+    if (categoryFn_ === null) {
+      return null;
+    }
+    return String(categoryFn_(marker));
+  };
+
+  /**
+   * Get the color of a category in category icons.
+   * @param {String} category
+   * @return {String}
+   */
+  function getCategoryColor_(category) {
+    if (!categoryColors_.hasOwnProperty(category)) {
+      categoryColors_[category] = palette_[paletteIndex_ % palette_.length];
+      paletteIndex_++;
+    }
+    return categoryColors_[category];
+  }
+
+  /**
+   * Create the pie or donut icon of a cluster with the categoryIcon option.
+   * Each category is drawn as a dashed stroke along a circle, its dash as
+   * long as its share of the circumference.
+   * @param {Cluster} cluster
+   * @return {L.DivIcon}
+   */
+  function createCategoryIcon_(cluster) {
+    var label = me_.calculate_(cluster);
+    var style = styles_[Math.max(label.index, 1) - 1];
+    var size = style && style.width ? style.width : 40;
+    var half = size / 2;
+    // A pie is a stroke as wide as its radius, so it fills the circle.
+    var width = categoryIcon_ === "pie" ? half : size / 5;
+    var r = half - width / 2;
+    var circumference = 2 * Math.PI * r;
+
+    var counts = cluster.getCategoryCounts();
+    var total = cluster.getTotalMarkers();
+    var svg = ['<svg xmlns="http://www.w3.org/2000/svg" width="', size, '" height="', size,
+        '" viewBox="0 0 ', size, ' ', size, '">'];
+    if (categoryIcon_ === "donut") {
+      svg.push('<circle cx="', half, '" cy="', half, '" r="', half, '" fill="#fff" fill-opacity="0.8"/>');
+    }
+    var offset = 0;
+    for (var category in counts) {
+      if (counts.hasOwnProperty(category)) {
+        var length = circumference * counts[category] / total;
+        svg.push('<circle cx="', half, '" cy="', half, '" r="', r, '" fill="none" stroke="',
+            escapeXml_(getCategoryColor_(category)), '" stroke-width="', width, '" stroke-dasharray="', length,
+            ' ', circumference - length, '" stroke-dashoffset="', -offset,
+            '" transform="rotate(-90 ', half, ' ', half, ')"/>');
+        offset += length;
+      }
+    }
+    svg.push('<text x="50%" y="50%" text-anchor="middle" dominant-baseline="central"',
+        ' font-family="Arial,sans-serif" font-size="11" font-weight="bold"',
+        categoryIcon_ === "pie" ? ' fill="#fff"' : '', '>', escapeXml_(label.text), '</text></svg>');
+
+    return new L.DivIcon({
+      'html': svg.join(''),
+      'className': 'leafclusterer-' + categoryIcon_,
+      'iconSize': new L.Point(size, size)
+    });
+  }
+
+  /**
+   * Escape text for an attribute or the content of an SVG element.
+   * @param {String} text
+   * @return {String}
+   */
+  function escapeXml_(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+  }
+
+  /**
+   * Show the area covered by the markers of a hovered cluster.
+   * @param {ClusterEvent} e
+   */
+  function addCoverage_(e) {
+    removeCoverage_();
+    var latlngs;
+    if (coverageShape_ === "bounds") {
+      var sw = e.bounds.getSouthWest();
+      var ne = e.bounds.getNorthEast();
+      latlngs = [sw, new L.LatLng(ne.lat, sw.lng), ne, new L.LatLng(sw.lat, ne.lng)];
+    } else {
+      latlngs = e.cluster.getConvexHull();
+    }
+    coverage_ = new L.Polygon(latlngs, coverageStyle_);
+    map_.addLayer(coverage_);
+  }
+
+  /**
+   * Remove the area shown by addCoverage_, if any.
+   */
+  function removeCoverage_() {
+    if (coverage_ !== null) {
+      map_.removeLayer(coverage_);
+      coverage_ = null;
+    }
+  }
+
+  /**
+   * The default content of clusterPopup and clusterTooltip: the markers
+   * listed by their title option, or else their position.
+   * @param {Cluster} cluster
+   * @param {Array of GMarker} markers The markers of the page shown.
+   * @return {String} The HTML.
+   */
+  function listMarkers_(cluster, markers) {
+    var html = ['<div class="leafclusterer-list-title">', cluster.getTotalMarkers(), ' locations</div>',
+                '<ul class="leafclusterer-list">'];
+    for (var i = 0; i < markers.length; ++i) {
+      var latlng = markers[i].getLatLng();
+      var title = markers[i].options.title ||
+          latlng.lat.toFixed(5) + ", " + latlng.lng.toFixed(5);
+      var div = document.createElement('div');
+      div.appendChild(document.createTextNode(title));
+      html.push('<li data-marker="', i, '"><a href="#">', div.innerHTML, '</a></li>');
+    }
+    html.push('</ul>');
+    return html.join('');
+  }
+
+  /**
+   * Render a page of the list of markers of a cluster.
+   * @param {Function} template The clusterPopup or clusterTooltip option.
+   * @param {Cluster} cluster
+   * @param {Array of GMarker} markers All markers of the cluster.
+   * @param {Number} page The page, from 0.
+   * @param {Boolean} isPaged Whether to add links to the other pages.
+   * @return {Element}
+   */
+  function renderList_(template, cluster, markers, page, isPaged) {
+    var pages = Math.ceil(markers.length / clusterPageSize_);
+    var container = L.DomUtil.create('div', 'leafclusterer-popup');
+    var content = template(cluster, markers.slice(page * clusterPageSize_, (page + 1) * clusterPageSize_));
+    if (typeof content === "string") {
+      container.innerHTML = content;
+    } else {
+      container.appendChild(content);
+    }
+    if (pages > 1 && isPaged) {
+      var pager = L.DomUtil.create('div', 'leafclusterer-pager', container);
+      pager.innerHTML = (page > 0 ? '<a href="#" data-page="' + (page - 1) + '">&lsaquo;</a> ' : '') +
+          (page + 1) + ' / ' + pages +
+          (page < pages - 1 ? ' <a href="#" data-page="' + (page + 1) + '">&rsaquo;</a>' : '');
+    } else if (pages > 1) {
+      L.DomUtil.create('div', 'leafclusterer-pager', container).innerHTML =
+          '&hellip; ' + (markers.length - clusterPageSize_) + ' more';
+    }
+    return container;
+  }
+
+  /**
+   * Check whether clicking a cluster marker opens a popup.
+   * @private
+   * @return {Boolean}
+   */
+  this.hasClusterPopup_ = function () {
+    return clusterPopup_ !== null;
+  };
+
+  /**
+   * Open the popup listing the markers of a cluster, at a page.
+   * @private
+   * @param {Cluster} cluster
+   * @param {Number} opt_page The page, from 0.
+   */
+  this.openClusterPopup_ = function (cluster, opt_page) {
+    if (map_ === null || clusterPopup_ === null) {
+      return;
+    }
+    var markers = [];
+    var mks = cluster.getMarkers();
+    for (var i = 0; i < mks.length; ++i) {
+      markers.push(mks[i].marker);
+    }
+    var page = opt_page || 0;
+    var container = renderList_(clusterPopup_, cluster, markers, page, true);
+
+    L.DomEvent.addListener(container, 'click', function (e) {
+      var target = e.target || e.srcElement;
+      while (target && target !== container) {
+        if (target.getAttribute('data-page') !== null) {
+          L.DomEvent.preventDefault(e);
+          me_.openClusterPopup_(cluster, Number(target.getAttribute('data-page')));
+          return;
+        }
+        if (target.getAttribute('data-marker') !== null) {
+          L.DomEvent.preventDefault(e);
+          var marker = markers[page * clusterPageSize_ + Number(target.getAttribute('data-marker'))];
+          me_.zoomToShowLayer(marker, function (err) {
+            // The list stays open if the marker can not be shown.
+            if (!err) {
+              map_.closePopup();
+              marker.openPopup();
+            }
+          });
+          return;
+        }
+        target = target.parentNode;
+      }
+    });
+
+    if (popup_ === null) {
+      popup_ = new L.Popup({'className': 'leafclusterer-cluster-popup'});
+    }
+    popup_.options.offset = getPopupOffset_(cluster);
+    popup_.setLatLng(cluster.getCenter()).setContent(container);
+    map_.openPopup(popup_);
+  };
+
+  /**
+   * Get the offset of a popup or tooltip, so that it points to the top of a
+   * cluster marker.
+   * @param {Cluster} cluster
+   * @return {L.Point}
+   */
+  function getPopupOffset_(cluster) {
+    var clusterMarker = cluster.getClusterMarker_();
+    var height = clusterMarker !== null ? clusterMarker.getHeight_() : 0;
+    return new L.Point(0, 7 - Math.round(height / 2));
+  }
+
+  /**
+   * Show the tooltip of a hovered cluster.
+   * @param {ClusterEvent} e
+   */
+  function addTooltip_(e) {
+    removeTooltip_();
+    var markers = e.markers;
+    tooltip_ = new L.Popup({
+      'className': 'leafclusterer-tooltip',
+      'closeButton': false,
+      'autoPan': false,
+      'offset': getPopupOffset_(e.cluster)
+    });
+    tooltip_.setLatLng(e.latlng).setContent(renderList_(clusterTooltip_, e.cluster, markers, 0, false));
+    // Added as a layer, so that an open popup stays open.
+    map_.addLayer(tooltip_);
+  }
+
+  /**
+   * Remove the tooltip of a cluster.
+   */
+  function removeTooltip_() {
+    if (tooltip_ !== null) {
+      map_.removeLayer(tooltip_);
+      tooltip_ = null;
+    }
+  }
+
+  /**
+   * Close the popup of a cluster, e.g. because the clusters change.
+   */
+  function closeClusterPopup_() {
+    if (popup_ !== null) {
+      map_.removeLayer(popup_);
+    }
+  }
+
+  /**
+   * Get how clusters are centered.
+   * @private
+   * @return {String} The centerStrategy option.
+   */
+  this.getCenterStrategy_ = function () {
+    return centerStrategy_;
+  };
+
+  /**
+   * Get the weight of a marker for the weighted center strategy.
+   * @private
+   * @param {GMarker} marker
+   * @return {Number}
+   */
+  this.getWeight_ = function (marker) {
+    return getValue_(marker);
+  };
+
+  /**
+   * Get cluster marker images of this marker cluster. Mostly used by {@link Cluster}
+   * @private
+   * @return {Array of String}
+   */
+  this.getStyles_ = function () {
+    return styles_;
+  };
+
+  /**
+   * Get the canvas cluster markers are drawn on with the canvas renderer.
+   * Mostly used by {@link Cluster}
+   * @private
+   * @return {ClusterCanvas_} The canvas, or null with the DOM renderer.
+   */
+  this.getCanvas_ = function () {
+    return canvas_;
+  };
+
+  /**
+   * Remove all markers from LeafClusterer.
+   */
+  this.clearMarkers = function () {
+    if (isWorker_) {
+      if (map_ !== null) {
+        clearWorkerLayers_();
+      }
+      points_ = [];
+      isWorkerDirty_ = true;
+    }
+    if (index_ !== null) {
+      clearIndexClusters_();
+      index_.clear();
+    }
+    for (var i = 0; i < clusters_.length; ++i) {
+      if (typeof clusters_[i] !== "undefined" && clusters_[i] !== null) {
+        clusters_[i].clearMarkers();
+      }
+    }
+    clusters_ = [];
+    leftMarkers_ = [];
+    leftClusters_ = null;
+    owners_ = {};
+    filtered_ = [];
+    updateHeatmap_();
+  };
+
+  /**
+   * Get the bounds in which markers are clustered: the viewport, padded by
+   * the viewportPadding option.
+   * @private
+   * @return {GLatLngBounds} The bounds, or null if all markers are clustered.
+   */
+  this.getClusteringBounds_ = function () {
+    if (clusterAll_) {
+      return null;
+    }
+    var bounds = map_.getBounds();
+    if (viewportPadding_ > 0) {
+      bounds = bounds.pad(viewportPadding_);
+    }
+    return bounds;
+  };
+
+  /**
+   * Check a marker, whether it is in current map viewport.
+   * @private
+   * @return {Boolean} if it is in current map viewport
+   */
+  function isMarkerInViewport_(marker) {
+    if (map_ === null) {
+      return false;
+    }
+    var bounds = me_.getClusteringBounds_();
+    return bounds === null || bounds.contains(me_.getMarkerLatLng_(marker));
+  }
+
+  /**
+   * When reset LeafClusterer, there will be some markers get out of its cluster.
+   * These markers should be add to new clusters.
+   * @param {Array of GMarker} markers Markers to add.
+   */
+  function reAddMarkers_(markers) {
+    var len = markers.length;
+    var clusters = [];
+    for (var i = len - 1; i >= 0; --i) {
+      me_.addMarker(markers[i].marker, true, markers[i].isAdded, clusters, true);
+    }
+    addLeftMarkers_();
+  }
+
+  /**
+   * Add a marker.
+   * @private
+   * @param {GMarker} marker Marker you want to add
+   * @param {Boolean} opt_isNodraw Whether redraw the cluster contained the marker
+   * @param {Boolean} opt_isAdded Whether the marker is added to map. Never use it.
+   * @param {Array of Cluster} opt_clusters Provide a list of clusters, the marker
+   *     cluster will only check these cluster where the marker should join.
+   */
+  this.addMarker = function (marker, opt_isNodraw, opt_isAdded, opt_clusters, opt_isNoCheck) {
+    if (provider_ !== null) {
+      return;
+    }
+    if (opt_isNoCheck !== true && !isWorker_ && isFilteredOut_(marker)) {
+      filtered_.push(marker);
+      return;
+    }
+    if (isWorker_) {
+      addWorkerMarkers_([marker]);
+      if (!opt_isNodraw) {
+        scheduleWorkerClusters_();
+      }
+      return;
+    }
+    if (index_ !== null) {
+      // The clusters shown are replaced once the index is rebuilt, as the
+      // ids of its clusters change. The index is built from the positions
+      // of the markers, so they must not be spiderfied.
+      this.unspiderfy();
+      index_.load([marker]);
+      if (!opt_isNodraw) {
+        scheduleIndexViewport_();
+      }
+      return;
+    }
+
+    if (algorithm_ !== null && opt_isNoCheck !== true) {
+      leftMarkers_.push(marker);
+      leftClusters_ = null;
+      if (!opt_isNodraw) {
+        clusterWithAlgorithm_();
+      }
+      return;
+    }
+
+    if (opt_isNoCheck !== true) {
+      // While the heatmap is shown, markers are clustered once it is left.
+      if (heatmap_ !== null || !isMarkerInViewport_(marker)) {
+        leftMarkers_.push(marker);
+        leftClusters_ = null;
+        updateHeatmap_();
+        return;
+      }
+    }
+
+    var isAdded = opt_isAdded;
+    var clusters = opt_clusters;
+    var pos = map_.latLngToLayerPoint(this.getMarkerLatLng_(marker));
+
+    if (typeof isAdded !== "boolean") {
+      isAdded = false;
+    }
+    if (typeof clusters !== "object" || clusters === null) {
+      clusters = clusters_;
+    }
+
+    var category = clusterByCategory_ ? this.getCategory_(marker) : null;
+    var getCenter = function (i) {
+      var center = clusters[i].getCenter();
+      if (center === null || (clusterByCategory_ && clusters[i].getCategory() !== category)) {
+        return null;
+      }
+      return map_.latLngToLayerPoint(center);
+    };
+
+    var cluster = null;
+    var i = LeafClustererCore.findGridGroup(pos, clusters.length, getCenter, getZoomGridSize_(map_.getZoom()));
+    if (i !== -1) {
+      // Found a cluster which contains the marker.
+      cluster = clusters[i];
+      cluster.addMarker({
+        'isAdded': isAdded,
+        'marker': marker
+      });
+      owners_[L.stamp(marker)] = cluster;
+      if (!opt_isNodraw) {
+        cluster.redraw_();
+      }
+      return;
+    }
+
+    // No cluster contain the marker, create a new cluster.
+    cluster = new Cluster(this);
+    cluster.addMarker({
+      'isAdded': isAdded,
+      'marker': marker
+    });
+    owners_[L.stamp(marker)] = cluster;
+    if (!opt_isNodraw) {
+      cluster.redraw_();
+    }
+
+    // Add this cluster both in clusters provided and clusters_
+    clusters.push(cluster);
+    if (clusters !== clusters_) {
+      clusters_.push(cluster);
+    }
+  };
+
+  /**
+   * Remove a marker.
+   *
+   * @param {GMarker} marker The marker you want to remove.
+   */
+  this.removeMarker = function (marker) {
+    this.removeMarkers([marker]);
+  };
+
+  /**
+   * Remove a set of markers. The clusters they belong to are updated once,
+   * and removed if they become empty. In precompute and worker mode the
+   * index is rebuilt once for the whole set.
+   *
+   * @param {Array of GMarker} markers The markers you want to remove.
+   */
+  this.removeMarkers = function (markers) {
+    var removed = {};
+    var layers = [];
+    var i;
+    for (i = 0; i < markers.length; ++i) {
+      layers.push(getLayer_(markers[i]));
+      removed[L.stamp(layers[i])] = true;
+    }
+    markers = layers;
+    function isRemoved(marker) {
+      return removed.hasOwnProperty(L.stamp(marker));
+    }
+
+    var filtered = [];
+    for (i = 0; i < filtered_.length; ++i) {
+      if (!isRemoved(filtered_[i])) {
+        filtered.push(filtered_[i]);
+      }
+    }
+    filtered_ = filtered;
+
+    if (isWorker_) {
+      var points = [];
+      for (i = 0; i < points_.length; ++i) {
+        if (!isRemoved(points_[i])) {
+          points.push(points_[i]);
+        }
+      }
+      if (points.length !== points_.length) {
+        points_ = points;
+        isWorkerDirty_ = true;
+        if (map_ !== null) {
+          clearWorkerLayers_();
+          scheduleWorkerClusters_();
+        }
+      }
+      return;
+    }
+
+    if (index_ !== null) {
+      this.unspiderfy();
+      if (index_.removeIf(isRemoved) > 0) {
+        // Markers removed are taken off the map now, their clusters are
+        // replaced once the index is rebuilt.
+        for (i = 0; i < clusters_.length; ++i) {
+          var mks = clusters_[i].getMarkers();
+          var gone = [];
+          for (var k = 0; k < mks.length; ++k) {
+            if (isRemoved(mks[k].marker)) {
+              gone.push(mks[k].marker);
+            }
+          }
+          for (k = 0; k < gone.length; ++k) {
+            clusters_[i].removeMarker(gone[k]);
+          }
+        }
+        scheduleIndexViewport_();
+      }
+      return;
+    }
+
+    var changed = [];
+    var hasLeft = false;
+    for (i = 0; i < markers.length; ++i) {
+      var id = L.stamp(markers[i]);
+      var cluster = owners_[id];
+      if (typeof cluster === "undefined") {
+        hasLeft = true;
+        continue;
+      }
+      cluster.removeMarker(markers[i]);
+      delete owners_[id];
+      if (changed.indexOf(cluster) === -1) {
+        changed.push(cluster);
+      }
+    }
+    if (hasLeft) {
+      var leftMarkers = [];
+      for (i = 0; i < leftMarkers_.length; ++i) {
+        if (!isRemoved(leftMarkers_[i])) {
+          leftMarkers.push(leftMarkers_[i]);
+        }
+      }
+      leftMarkers_ = leftMarkers;
+      leftClusters_ = null;
+    }
+    for (i = 0; i < changed.length; ++i) {
+      updateCluster_(changed[i]);
+    }
+    updateHeatmap_();
+  };
+
+  /**
+   * Redraw a cluster whose markers changed, or remove it if it is empty.
+   * @param {Cluster} cluster
+   */
+  function updateCluster_(cluster) {
+    if (cluster.getTotalMarkers() > 0) {
+      cluster.redraw_();
+      return;
+    }
+    cluster.clearMarkers();
+    var i = clusters_.indexOf(cluster);
+    if (i !== -1) {
+      clusters_.splice(i, 1);
+    }
+  }
+
+  /**
+   * Move a marker. Unlike setting its position directly, this moves it to
+   * the cluster at its new position.
+   *
+   * @param {GMarker} marker The marker you want to move.
+   * @param {GLatLng} latlng The new position.
+   */
+  this.updateMarker = function (marker, latlng) {
+    var i;
+    this.unspiderfy();
+    marker = getLayer_(marker);
+    if (filtered_.indexOf(marker) !== -1) {
+      marker.setLatLng(latlng);
+      return;
+    }
+    if (isWorker_ || index_ !== null) {
+      marker.setLatLng(latlng);
+      if (isWorker_) {
+        isWorkerDirty_ = points_.indexOf(marker) !== -1 || isWorkerDirty_;
+      } else {
+        index_.invalidate();
+        clearIndexClusters_();
+      }
+      this.resetViewport();
+      return;
+    }
+
+    var id = L.stamp(marker);
+    var cluster = owners_[id];
+    if (typeof cluster !== "undefined") {
+      // Remove it before it moves, to update the center of the cluster.
+      cluster.removeMarker(marker);
+      delete owners_[id];
+      updateCluster_(cluster);
+    } else {
+      for (i = 0; i < leftMarkers_.length; ++i) {
+        if (leftMarkers_[i] === marker) {
+          leftMarkers_.splice(i, 1);
+          leftClusters_ = null;
+          break;
+        }
+      }
+    }
+    marker.setLatLng(latlng);
+    this.addMarker(marker);
+  };
+
+  /**
+   * Redraw all clusters in viewport.
+   */
+  this.redraw_ = function () {
+    var clusters = this.getClustersInViewport_();
+    for (var i = 0; i < clusters.length; ++i) {
+      clusters[i].redraw_(true);
+    }
+  };
+
+  /**
+   * Get all clusters in viewport, padded by the viewportPadding option.
+   * @return {Array of Cluster}
+   */
+  this.getClustersInViewport_ = function () {
+    var clusters = [];
+    if (map_ === null) {
+      return clusters;
+    }
+    var curBounds = this.getClusteringBounds_();
+    if (curBounds === null) {
+      return clusters_.slice(0);
+    }
+    for (var i = 0; i < clusters_.length; i ++) {
+      if (clusters_[i].isInBounds(curBounds)) {
+        clusters.push(clusters_[i]);
+      }
+    }
+    return clusters;
+  };
+
+  /**
+   * Get max zoom level.
+   * @private
+   * @return {Number}
+   */
+  this.getMaxZoom_ = function () {
+    return maxZoom_;
+  };
+
+  /**
+   * Get map object.
+   * @private
+   * @return {GMap2}
+   */
+  this.getMap_ = function () {
+    return map_;
+  };
+
+  /**
+   * Get grid size at the current zoom level
+   * @private
+   * @return {Number}
+   */
+  this.getGridSize_ = function () {
+    return map_ === null ? gridSize_ : getZoomGridSize_(map_.getZoom());
+  };
+
+  /**
+   * Get the least number of markers shown as a cluster marker.
+   * @private
+   * @return {Number}
+   */
+  this.getMinClusterSize_ = function () {
+    return minClusterSize_;
   };
 
   /**
-   * Get map object.
+   * Check whether markers are shown without cluster at a zoom level by the
+   * disableClusteringAtZoom option.
    * @private
-   * @return {GMap2}
+   * @param {Number} zoom
+   * @return {Boolean}
    */
-  this.getMap_ = function () {
-    return map_;
+  this.isClusteringDisabled_ = function (zoom) {
+    return disableClusteringAtZoom_ !== null && zoom >= disableClusteringAtZoom_;
+  };
+
+  // Checks of the values of options, for validators_.
+  function isBoolean_(value) {
+    return typeof value === "boolean";
+  }
+
+  function isObject_(value) {
+    return typeof value === "object" && value !== null;
+  }
+
+  function isFunctionOrNull_(value) {
+    return typeof value === "function" || value === null;
+  }
+
+  function isNumberOrNull_(value) {
+    return typeof value === "number" || value === null;
+  }
+
+  function isBooleanOrFunction_(value) {
+    return typeof value === "boolean" || typeof value === "function";
+  }
+
+  function isGradient_(value) {
+    if (!isObject_(value)) {
+      return false;
+    }
+    for (var stop in value) {
+      // Number("") is 0, but is no stop.
+      if (value.hasOwnProperty(stop) && !(stop !== "" && Number(stop) >= 0 && Number(stop) <= 1)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * The values setOptions accepts for each option, like setOptions_ does.
+   */
+  var validators_ = {
+    'gridSize': function (value) {
+      return (typeof value === "number" && value > 0) || typeof value === "function" || isObject_(value);
+    },
+    'minClusterSize': function (value) {
+      return typeof value === "number" && value >= 1;
+    },
+    'disableClusteringAtZoom': isNumberOrNull_,
+    'ariaLabel': function (value) {
+      return typeof value === "function";
+    },
+    'liveRegion': isBooleanOrFunction_,
+    'clusterPopup': isBooleanOrFunction_,
+    'clusterTooltip': isBooleanOrFunction_,
+    'clusterPageSize': function (value) {
+      return typeof value === "number" && value >= 1;
+    },
+    'algorithm': function (value) {
+      return isFunctionOrNull_(value) || LeafClusterer.algorithms.hasOwnProperty(value);
+    },
+    'maxZoom': isNumberOrNull_,
+    'styles': function (value) {
+      return isObject_(value) && value.length !== 0;
+    },
+    'zoomOnClick': isBoolean_,
+    'spiderfy': isBoolean_,
+    'spiderLegStyle': isObject_,
+    'valueProperty': function (value) {
+      return typeof value === "string";
+    },
+    'aggregate': function (value) {
+      return typeof value === "function" || aggregates.hasOwnProperty(value);
+    },
+    'calculator': isFunctionOrNull_,
+    'iconCreateFunction': isFunctionOrNull_,
+    'viewportPadding': function (value) {
+      return typeof value === "number" && value >= 0;
+    },
+    'clusterAll': isBoolean_,
+    'animate': isBoolean_,
+    'showCoverageOnHover': isBoolean_,
+    'coverageShape': function (value) {
+      return value === "hull" || value === "bounds";
+    },
+    'coverageStyle': isObject_,
+    'centerStrategy': function (value) {
+      return value === "first" || value === "centroid" || value === "weighted" || value === "medoid";
+    },
+    'pointToLayer': function (value) {
+      return typeof value === "function";
+    },
+    'categoryFn': isFunctionOrNull_,
+    'clusterByCategory': isBoolean_,
+    'categoryIcon': function (value) {
+      return value === "pie" || value === "donut" || value === null;
+    },
+    'categoryColors': isObject_,
+    'renderer': function (value) {
+      return value === "dom" || value === "canvas";
+    },
+    'heatmapZoom': isNumberOrNull_,
+    'heatmapRadius': function (value) {
+      return typeof value === "number" && value > 0;
+    },
+    'heatmapGradient': isGradient_,
+    'filter': isFunctionOrNull_
+  };
+
+  /**
+   * Change options at runtime. Options changing only how clusters look, like
+   * styles, restyle the cluster markers shown; the others cluster all
+   * markers again. The worker, precompute and provider options can not be
+   * changed.
+   *
+   * @param {LeafClustererOptions} opts The options to change.
+   * @return {LeafClusterer}
+   * @throws {Error} If an option is unknown, can not be changed or its value
+   *     is invalid, before any option is changed.
+   */
+  this.setOptions = function (opts) {
+    if (typeof opts !== "object" || opts === null) {
+      return this;
+    }
+    var lookOptions = {
+      'styles': true, 'aggregate': true, 'valueProperty': true, 'calculator': true,
+      'iconCreateFunction': true, 'categoryIcon': true, 'categoryColors': true,
+      'zoomOnClick': true, 'spiderLegStyle': true, 'coverageShape': true,
+      'coverageStyle': true, 'pointToLayer': true, 'ariaLabel': true,
+      'clusterPopup': true, 'clusterPageSize': true, 'heatmapRadius': true,
+      'heatmapGradient': true
+    };
+    // Options the map handlers depend on; the renderer also changes how the
+    // cluster markers are drawn.
+    var handlerOptions = {
+      'spiderfy': true, 'showCoverageOnHover': true, 'clusterTooltip': true,
+      'liveRegion': true, 'renderer': true
+    };
+    var isRegroup = false;
+    var isRestyle = false;
+    var isHandlers = false;
+    var key;
+    for (key in opts) {
+      if (!opts.hasOwnProperty(key)) {
+        continue;
+      }
+      if (key === "worker" || key === "precompute" || key === "provider") {
+        throw new Error("LeafClusterer: option " + key + " can not be changed");
+      }
+      if (!validators_.hasOwnProperty(key)) {
+        throw new Error("LeafClusterer: unknown option " + key);
+      }
+      if (!validators_[key](opts[key])) {
+        throw new Error("LeafClusterer: invalid value for option " + key);
+      }
+      if (handlerOptions.hasOwnProperty(key)) {
+        isHandlers = true;
+        if (key === "spiderfy" && (index_ !== null || isWorker_)) {
+          // The index clusters one level deeper with spiderfy.
+          isRegroup = true;
+        }
+      } else if (key === "valueProperty" && centerStrategy_ === "weighted") {
+        // The weighted centers of the clusters depend on the values.
+        isRegroup = true;
+      } else if (lookOptions.hasOwnProperty(key)) {
+        isRestyle = true;
+      } else if (key !== "filter") {
+        isRegroup = true;
+      }
+    }
+
+    var map = map_;
+    if (isHandlers && map !== null) {
+      this.unspiderfy();
+      if (opts.hasOwnProperty("renderer")) {
+        // The cluster markers are drawn again, on the canvas or not.
+        stopAnimation_();
+        clearLayers_();
+        if (provider_ !== null) {
+          clearProviderTiles_();
+        }
+        isRegroup = true;
+      }
+      removeMapHandlers_(map);
+    }
+    setOptions_(opts);
+    if (isHandlers && map !== null) {
+      addMapHandlers_(map);
+    }
+    if (isRegroup) {
+      regroup_();
+    } else if (isRestyle) {
+      restyle_(opts);
+    }
+    if (opts.hasOwnProperty("filter")) {
+      this.setFilter(opts.filter);
+    }
+    return this;
+  };
+
+  /**
+   * Cluster all markers again, because the options clustering them changed.
+   * The index is rebuilt from its markers, and the worker loads the points
+   * again; the clusters it shows are replaced once it answers.
+   */
+  function regroup_() {
+    if (index_ !== null) {
+      var markers = index_.getMarkers();
+      clearIndexClusters_();
+      index_ = createIndex_();
+      index_.load(markers);
+      if (map_ !== null) {
+        index_.setZoomRange(map_.getMinZoom(), getIndexDepth_());
+      }
+    }
+    isWorkerDirty_ = true;
+    leftClusters_ = null;
+    if (map_ === null) {
+      return;
+    }
+    stopAnimation_();
+    me_.unspiderfy();
+    removeCoverage_();
+    if (!isWorker_) {
+      clearLayers_();
+    }
+    me_.resetViewport();
+  }
+
+  /**
+   * Redraw a cluster marker shown from the worker or the provider with the
+   * current styles and labels.
+   * @param {Object} shown The layer shown, its latlng and count.
+   */
+  function restyleLayer_(shown) {
+    if (shown.layer instanceof ClusterMarker_) {
+      var label = getLabel_(shown.count);
+      shown.layer.reset({
+        'text': label.text,
+        'index': label.index,
+        'styles': styles_,
+        'ariaLabel': ariaLabel_(shown.count)
+      });
+      shown.layer.redraw();
+    }
+  }
+
+  /**
+   * Redraw what is shown with the current styles and labels, after options
+   * changing only how clusters look changed.
+   * @param {Object} opts The options changed.
+   */
+  function restyle_(opts) {
+    if (map_ === null) {
+      return;
+    }
+    var key;
+    var i;
+    if (heatmap_ !== null && (opts.hasOwnProperty("heatmapRadius") || opts.hasOwnProperty("heatmapGradient"))) {
+      // Shown again by resetViewport with the new radius and gradient.
+      map_.removeLayer(heatmap_);
+      heatmap_ = null;
+      me_.resetViewport();
+      return;
+    }
+    for (key in workerLayers_) {
+      if (workerLayers_.hasOwnProperty(key)) {
+        restyleLayer_(workerLayers_[key]);
+      }
+    }
+    if (provider_ !== null && opts.hasOwnProperty("pointToLayer")) {
+      // The points of the tiles shown are made again from the cache.
+      clearProviderTiles_();
+      me_.resetViewport();
+    }
+    for (key in providerTiles_) {
+      if (providerTiles_.hasOwnProperty(key)) {
+        for (i = 0; i < providerTiles_[key].length; ++i) {
+          restyleLayer_(providerTiles_[key][i]);
+        }
+      }
+    }
+    for (i = 0; i < clusters_.length; ++i) {
+      clusters_[i].resetAggregate_();
+    }
+    me_.redraw_();
+  }
+
+  /**
+   * Drop the clusters cached from the provider option, and ask for the ones
+   * in view again, e.g. because the data of the provider changed.
+   *
+   * @return {LeafClusterer}
+   */
+  this.clearProviderCache = function () {
+    providerCache_ = {};
+    providerCacheKeys_ = [];
+    if (map_ !== null && provider_ !== null) {
+      clearProviderTiles_();
+      this.resetViewport();
+    }
+    return this;
+  };
+
+  /**
+   * Set the grid size of a cluster in pixel, and regroup the markers.
+   *
+   * @param {Number} gridSize
+   * @return {LeafClusterer}
+   */
+  this.setGridSize = function (gridSize) {
+    return this.setOptions({'gridSize': gridSize});
+  };
+
+  /**
+   * Get the grid size of a cluster in pixel, as set by the gridSize option.
+   *
+   * @return {Number|Object|Function}
+   */
+  this.getGridSize = function () {
+    return gridSizeByZoom_ !== null ? gridSizeByZoom_ : gridSize_;
+  };
+
+  /**
+   * Set the max zoom level monitored by the LeafClusterer, and regroup the
+   * markers.
+   *
+   * @param {Number} maxZoom The zoom level, or null for the max zoom level
+   *     of the map.
+   * @return {LeafClusterer}
+   */
+  this.setMaxZoom = function (maxZoom) {
+    return this.setOptions({'maxZoom': maxZoom});
+  };
+
+  /**
+   * Get the max zoom level monitored by the LeafClusterer.
+   *
+   * @return {Number} The zoom level, or null for the max zoom level of the map.
+   */
+  this.getMaxZoom = function () {
+    return maxZoom_;
+  };
+
+  /**
+   * Set the styles of cluster markers, and restyle the cluster markers shown.
+   *
+   * @param {Array of MarkerStyleOptions} styles
+   * @return {LeafClusterer}
+   */
+  this.setStyles = function (styles) {
+    return this.setOptions({'styles': styles});
+  };
+
+  /**
+   * Get the styles of cluster markers.
+   *
+   * @return {Array of MarkerStyleOptions}
+   */
+  this.getStyles = function () {
+    return styles_;
+  };
+
+  /**
+   * Get total number of markers, including the ones not clustered yet but
+   * not the ones rejected by the filter. In provider mode, the counts of the
+   * clusters shown are summed.
+   * @return {Number}
+   */
+  this.getTotalMarkers = function () {
+    if (provider_ !== null) {
+      var total = 0;
+      for (var key in providerTiles_) {
+        if (providerTiles_.hasOwnProperty(key)) {
+          for (var j = 0; j < providerTiles_[key].length; ++j) {
+            total += providerTiles_[key][j].count;
+          }
+        }
+      }
+      return total;
+    }
+    if (isWorker_) {
+      return points_.length;
+    }
+    if (index_ !== null) {
+      return index_.getTotalMarkers();
+    }
+    var result = leftMarkers_.length;
+    for (var i = 0; i < clusters_.length; ++i) {
+      result += clusters_[i].getTotalMarkers();
+    }
+    return result;
+  };
+
+  /**
+   * Get total number of clusters. The markers outside the clustering bounds,
+   * which are not clustered yet, count with the clusters they would form at
+   * the current zoom level. In worker and provider mode, only the clusters
+   * shown are counted.
+   * @return {int}
+   */
+  this.getTotalClusters = function () {
+    if (provider_ !== null) {
+      var total = 0;
+      for (var key in providerTiles_) {
+        if (providerTiles_.hasOwnProperty(key)) {
+          total += providerTiles_[key].length;
+        }
+      }
+      return total;
+    }
+    if (isWorker_) {
+      var count = 0;
+      for (var id in workerLayers_) {
+        if (workerLayers_.hasOwnProperty(id)) {
+          count++;
+        }
+      }
+      return count;
+    }
+    if (map_ === null) {
+      return clusters_.length;
+    }
+    var zoom = map_.getZoom();
+    if (index_ !== null) {
+      return index_.getClustersInBox(-180, -90, 180, 90, zoom).length;
+    }
+
+    if (leftClusters_ !== null && leftClusters_.zoom === zoom) {
+      return clusters_.length + leftClusters_.count;
+    }
+    var groups = {};
+    var keys = [];
+    for (var i = 0; i < leftMarkers_.length; ++i) {
+      var key = clusterByCategory_ ? String(this.getCategory_(leftMarkers_[i])) : "";
+      if (!groups.hasOwnProperty(key)) {
+        groups[key] = [];
+        keys.push(key);
+      }
+      groups[key].push(this.getMarkerLatLng_(leftMarkers_[i]));
+    }
+    var left = 0;
+    for (i = 0; i < keys.length; ++i) {
+      left += LeafClustererCore.cluster(groups[keys[i]], zoom, {
+        'gridSize': getZoomGridSize_(zoom),
+        'algorithm': algorithm_ !== null ? algorithm_ : "grid"
+      }).length;
+    }
+    leftClusters_ = {'zoom': zoom, 'count': left};
+    return clusters_.length + left;
+  };
+
+  /**
+   * Remove the clusters and markers shown from the map, keeping the markers
+   * in the LeafClusterer to be clustered again.
+   */
+  function clearLayers_() {
+    if (isWorker_) {
+      clearWorkerLayers_();
+    } else if (index_ !== null) {
+      clearIndexClusters_();
+    } else {
+      for (var i = 0; i < clusters_.length; ++i) {
+        var mks = clusters_[i].getMarkers();
+        for (var j = 0; j < mks.length; ++j) {
+          leftMarkers_.push(mks[j].marker);
+        }
+        clusters_[i].clearMarkers();
+      }
+      clusters_ = [];
+      leftClusters_ = null;
+      owners_ = {};
+    }
+  }
+
+  /**
+   * Check whether the markers are shown as a heatmap at the current zoom
+   * level by the heatmapZoom option.
+   * @return {Boolean}
+   */
+  function isHeatmapZoom_() {
+    return heatmapZoom_ !== null && map_.getZoom() < heatmapZoom_;
+  }
+
+  /**
+   * Get the positions of the markers passing the filter, for the heatmap.
+   * @return {Array of GLatLng}
+   */
+  function getHeatmapPoints_() {
+    var markers = getAllMarkers_();
+    var points = [];
+    for (var i = 0; i < markers.length; ++i) {
+      points.push(me_.getMarkerLatLng_(markers[i]));
+    }
+    return points;
+  }
+
+  /**
+   * Draw the heatmap again, if it is shown, because the markers changed.
+   */
+  function updateHeatmap_() {
+    if (heatmap_ !== null) {
+      heatmap_.update_();
+    }
+  }
+
+  /**
+   * Show the heatmap instead of the clusters, or update it.
+   */
+  function resetHeatmap_() {
+    if (!isWorker_ || workerAnswer_ === workerRequest_) {
+      me_.fire('clusteringbegin');
+    }
+    if (isWorker_) {
+      // Drop the answers still pending, which would show clusters.
+      workerAnswer_ = ++workerRequest_;
+    }
+    if (heatmap_ === null) {
+      stopAnimation_();
+      clearLayers_();
+      heatmap_ = new ClusterHeatmap_(getHeatmapPoints_, heatmapRadius_, heatmapGradient_);
+      map_.addLayer(heatmap_);
+    } else {
+      heatmap_.update_();
+    }
+    me_.fire('clusteringend');
+    fireAnimationEnd_();
+    lastZoom_ = map_.getZoom();
+  }
+
+  /**
+   * Collect all markers of clusters in viewport and regroup them.
+   */
+  this.resetViewport = function () {
+    if (map_ === null) {
+      return;
+    }
+    if (provider_ !== null) {
+      requestProviderTiles_();
+      return;
+    }
+    if (isHeatmapZoom_()) {
+      resetHeatmap_();
+      return;
+    }
+    if (heatmap_ !== null) {
+      // The markers are all left to be clustered, see clearLayers_.
+      map_.removeLayer(heatmap_);
+      heatmap_ = null;
+    }
+    if (isWorker_) {
+      // A request still pending already fired clusteringbegin.
+      if (workerAnswer_ === workerRequest_) {
+        this.fire('clusteringbegin');
+      }
+      requestWorkerClusters_();
+      return;
+    }
+    var zoom = map_.getZoom();
+    var shown = null;
+    stopAnimation_();
+    if (animate_ && L.DomUtil.TRANSITION && L.Browser.any3d &&
+        lastZoom_ !== null && zoom !== lastZoom_) {
+      shown = getShown_();
+    }
+
+    this.fire('clusteringbegin');
+    if (index_ !== null) {
+      resetIndexViewport_();
+    } else if (algorithm_ !== null) {
+      clusterWithAlgorithm_();
+    } else {
+      resetClusters_();
+    }
+    this.fire('clusteringend');
+
+    if (shown !== null) {
+      startAnimation_(shown, zoom > lastZoom_);
+    } else {
+      fireAnimationEnd_();
+    }
+    lastZoom_ = zoom;
   };
 
   /**
-   * Get grid size
-   * @private
-   * @return {Number}
+   * Get what is shown of the clusters in viewport: the cluster markers and
+   * the markers shown without cluster.
+   * @return {Array of Object} Objects with the shown layer, its latlng, the
+   *     markers it stands for and whether it is a cluster marker.
+   */
+  function getShown_() {
+    var shown = [];
+    var clusters = me_.getClustersInViewport_();
+    for (var i = 0; i < clusters.length; ++i) {
+      var mks = clusters[i].getMarkers();
+      var clusterMarker = clusters[i].getClusterMarker_();
+      var j;
+      if (clusterMarker !== null && map_.hasLayer(clusterMarker) && !clusterMarker.isHidden()) {
+        var markers = [];
+        for (j = 0; j < mks.length; ++j) {
+          markers.push(mks[j].marker);
+        }
+        shown.push({
+          'layer': clusterMarker,
+          'latlng': clusters[i].getCenter(),
+          'markers': markers,
+          'isCluster': true
+        });
+        continue;
+      }
+      for (j = 0; j < mks.length; ++j) {
+        if (map_.hasLayer(mks[j].marker)) {
+          shown.push({
+            'layer': mks[j].marker,
+            'latlng': mks[j].marker.getLatLng(),
+            'markers': [mks[j].marker],
+            'isCluster': false
+          });
+        }
+      }
+    }
+    return shown;
+  }
+
+  /**
+   * Get the DOM elements of a shown layer.
+   * @param {ILayer} layer A cluster marker or a marker.
+   * @param {Boolean} isCluster Whether layer is a cluster marker.
+   * @return {Array of Element}
+   */
+  function getElements_(layer, isCluster) {
+    if (isCluster) {
+      return [layer.getElement_()];
+    }
+    var elements = [];
+    if (layer instanceof PointLayer_) {
+      layer = layer.getMarker();
+    }
+    if (layer._icon) {
+      elements.push(layer._icon);
+    }
+    if (layer._shadow) {
+      elements.push(layer._shadow);
+    }
+    return elements;
+  }
+
+  /**
+   * Move an element from an offset of its position to another one with a
+   * CSS transition.
+   * @param {Element} el
+   * @param {GPoint} from
+   * @param {GPoint} to
+   */
+  function translate_(el, from, to) {
+    var pos = L.DomUtil.getPosition(el) || new L.Point(0, 0);
+    el.style[L.DomUtil.TRANSITION] = '';
+    L.DomUtil.setPosition(el, pos.add(from));
+    // Force a reflow, so that the transition starts from here.
+    L.Util.falseFn(el.offsetWidth);
+    el.style[L.DomUtil.TRANSITION] = 'all ' + LEAFCLUSTERER_ANIMATION_DURATION_ + 's ease-out';
+    L.DomUtil.setPosition(el, pos.add(to));
+  }
+
+  /**
+   * Animate the change from what was shown before a zoom to what is shown
+   * now. When zooming in, the layers shown now fly out from the position of
+   * the layer their markers were shown by. When zooming out, copies of the
+   * layers shown before converge into the layer their markers are shown by.
+   * @param {Array of Object} before What getShown_ returned before the zoom.
+   * @param {Boolean} isZoomIn
+   */
+  function startAnimation_(before, isZoomIn) {
+    var after = getShown_();
+    var from = isZoomIn ? before : after;
+    var to = isZoomIn ? after : before;
+    var positions = {};
+    var elements = [];
+    var ghosts = [];
+    var i;
+    var j;
+
+    for (i = 0; i < from.length; ++i) {
+      for (j = 0; j < from[i].markers.length; ++j) {
+        positions[L.stamp(from[i].markers[j])] = from[i].latlng;
+      }
+    }
+
+    for (i = 0; i < to.length; ++i) {
+      var item = to[i];
+      var latlng = positions[L.stamp(item.markers[0])];
+      if (!latlng || latlng.equals(item.latlng)) {
+        continue;
+      }
+      var offset = map_.latLngToLayerPoint(latlng).subtract(map_.latLngToLayerPoint(item.latlng));
+      if (item.isCluster && canvas_ !== null) {
+        // Cluster markers on the canvas have no element to move.
+        continue;
+      }
+      var layer = item.layer;
+      if (!isZoomIn) {
+        if (item.isCluster) {
+          layer = item.layer.clone_();
+        } else {
+          var marker = item.layer instanceof PointLayer_ ? item.layer.getMarker() : item.layer;
+          layer = new L.Marker(item.latlng, {'icon': marker.options.icon, 'clickable': false});
+        }
+        map_.addLayer(layer);
+        ghosts.push(layer);
+      }
+      var els = getElements_(layer, item.isCluster);
+      for (j = 0; j < els.length; ++j) {
+        if (isZoomIn) {
+          translate_(els[j], offset, new L.Point(0, 0));
+        } else {
+          translate_(els[j], new L.Point(0, 0), offset);
+        }
+        elements.push(els[j]);
+      }
+    }
+
+    if (elements.length === 0) {
+      fireAnimationEnd_();
+      return;
+    }
+    cancelAnimationEnd_();
+    animation_ = {
+      'elements': elements,
+      'ghosts': ghosts,
+      'timer': setTimeout(function () {
+        stopAnimation_();
+        me_.fire('animationend');
+      }, LEAFCLUSTERER_ANIMATION_DURATION_ * 1000)
+    };
+  }
+
+  /**
+   * Fire animationend on the next animation frame, once the clusters on the
+   * map have been drawn, when they were updated without animation. Several
+   * updates in a row fire it once.
+   */
+  function fireAnimationEnd_() {
+    if (animationEndFrame_ !== null) {
+      return;
+    }
+    animationEndFrame_ = L.Util.requestAnimFrame(function () {
+      animationEndFrame_ = null;
+      me_.fire('animationend');
+    });
+  }
+
+  /**
+   * Drop animationend if it was not fired yet, e.g. because an animation
+   * starts which fires it when it is done.
+   */
+  function cancelAnimationEnd_() {
+    if (animationEndFrame_ !== null) {
+      L.Util.cancelAnimFrame(animationEndFrame_);
+      animationEndFrame_ = null;
+    }
+  }
+
+  /**
+   * Finish the running zoom animation at once.
    */
-  this.getGridSize_ = function () {
-    return gridSize_;
-  };
+  function stopAnimation_() {
+    if (animation_ === null) {
+      return;
+    }
+    clearTimeout(animation_.timer);
+    for (var i = 0; i < animation_.elements.length; ++i) {
+      animation_.elements[i].style[L.DomUtil.TRANSITION] = '';
+    }
+    for (i = 0; i < animation_.ghosts.length; ++i) {
+      map_.removeLayer(animation_.ghosts[i]);
+    }
+    animation_ = null;
+  }
 
   /**
-   * Get total number of markers.
-   * @return {Number}
+   * Get the key of a group of markers at a zoom level, the same for the same
+   * markers in any order.
+   * @param {Array of GMarker} markers
+   * @param {Number} zoom
+   * @return {String}
    */
-  this.getTotalMarkers = function () {
-    var result = 0;
-    for (var i = 0; i < clusters_.length; ++i) {
-      result += clusters_[i].getTotalMarkers();
+  function getGroupKey_(markers, zoom) {
+    var stamps = [];
+    for (var i = 0; i < markers.length; ++i) {
+      stamps.push(L.stamp(markers[i]));
     }
-    return result;
-  };
+    stamps.sort(function (a, b) {
+      return a - b;
+    });
+    return stamps.join(",") + "@" + zoom;
+  }
 
   /**
-   * Get total number of clusters.
-   * @return {int}
+   * Regroup all markers in the clustering bounds with the algorithm option.
+   * The algorithm gets their world pixel coordinates at the current zoom
+   * level, which do not change when the map is panned. With the
+   * clusterByCategory option, it groups the markers of each category on
+   * their own. Clusters with the same markers as before at the same zoom
+   * level are kept as they are, spiderfied or not.
    */
-  this.getTotalClusters = function () {
-    return clusters_.length;
-  };
+  function clusterWithAlgorithm_() {
+    if (map_ === null) {
+      return;
+    }
+    if (heatmap_ !== null) {
+      // The markers are clustered once the heatmap is left.
+      updateHeatmap_();
+      return;
+    }
+    var markers = leftMarkers_;
+    var previous = {};
+    var i;
+    var j;
+    var key;
+    for (i = 0; i < clusters_.length; ++i) {
+      var mks = clusters_[i].getMarkers();
+      var clustered = [];
+      for (j = 0; j < mks.length; ++j) {
+        clustered.push(mks[j].marker);
+      }
+      markers = markers.concat(clustered);
+      previous[getGroupKey_(clustered, clusters_[i].getCurrentZoom())] = clusters_[i];
+    }
+    clusters_ = [];
+    owners_ = {};
+    leftMarkers_ = [];
+    leftClusters_ = null;
+
+    var zoom = map_.getZoom();
+    var gridSize = getZoomGridSize_(zoom);
+    var categories = {};
+    for (i = 0; i < markers.length; ++i) {
+      if (isMarkerInViewport_(markers[i])) {
+        key = clusterByCategory_ ? String(me_.getCategory_(markers[i])) : "";
+        if (!categories.hasOwnProperty(key)) {
+          categories[key] = {'markers': [], 'points': []};
+        }
+        categories[key].markers.push(markers[i]);
+        categories[key].points.push(map_.project(me_.getMarkerLatLng_(markers[i]), zoom));
+      } else {
+        leftMarkers_.push(markers[i]);
+      }
+    }
+
+    for (key in categories) {
+      if (!categories.hasOwnProperty(key)) {
+        continue;
+      }
+      var shown = categories[key].markers;
+      var groups = algorithm_(categories[key].points, gridSize);
+      for (i = 0; i < groups.length; ++i) {
+        var group = [];
+        for (j = 0; j < groups[i].length; ++j) {
+          group.push(shown[groups[i][j]]);
+        }
+        var groupKey = getGroupKey_(group, zoom);
+        var cluster = previous[groupKey];
+        if (typeof cluster !== "undefined") {
+          delete previous[groupKey];
+        } else {
+          cluster = new Cluster(me_);
+          for (j = 0; j < group.length; ++j) {
+            cluster.addMarker({
+              'isAdded': false,
+              'marker': group[j]
+            });
+          }
+        }
+        for (j = 0; j < group.length; ++j) {
+          owners_[L.stamp(group[j])] = cluster;
+        }
+        clusters_.push(cluster);
+      }
+    }
+    for (key in previous) {
+      if (previous.hasOwnProperty(key)) {
+        previous[key].clearMarkers();
+      }
+    }
+    me_.redraw_();
+  }
 
   /**
-   * Collect all markers of clusters in viewport and regroup them.
+   * Regroup the markers of the clusters in viewport whose zoom level changed.
    */
-  this.resetViewport = function () {
-    var clusters = this.getClustersInViewport_();
+  function resetClusters_() {
+    var clusters = me_.getClustersInViewport_();
     var tmpMarkers = [];
     var removed = 0;
 
@@ -363,35 +3011,715 @@ function LeafClusterer(map, opt_markers, opt_opts) {
       }
     }
 
-    // Add the markers collected into marker cluster to reset
-    reAddMarkers_(tmpMarkers);
-    this.redraw_();
+    // Add the markers collected into marker cluster to reset
+    reAddMarkers_(tmpMarkers);
+    me_.redraw_();
+  }
+
+
+  /**
+   * Add a set of markers. In precompute mode the index is rebuilt once for
+   * the whole set.
+   *
+   * @param {Array of GMarker} markers The markers you want to add.
+   */
+  this.addMarkers = function (markers) {
+    if (provider_ !== null) {
+      return;
+    }
+    if (isWorker_) {
+      addWorkerMarkers_(markers);
+      this.resetViewport();
+      return;
+    }
+    this.fire('clusteringbegin');
+    if (index_ !== null) {
+      var shown = [];
+      for (var j = 0; j < markers.length; ++j) {
+        if (isFilteredOut_(markers[j])) {
+          filtered_.push(markers[j]);
+        } else {
+          shown.push(markers[j]);
+        }
+      }
+      clearIndexClusters_();
+      index_.load(shown);
+      if (map_ !== null) {
+        resetIndexViewport_();
+      }
+    } else {
+      for (var i = 0; i < markers.length; ++i) {
+        this.addMarker(markers[i], true);
+      }
+      if (algorithm_ !== null) {
+        clusterWithAlgorithm_();
+      } else {
+        this.redraw_();
+      }
+    }
+    this.fire('clusteringend');
+    fireAnimationEnd_();
+  };
+
+  /**
+   * Add markers to the points held by the worker.
+   * @param {Array of GMarker} markers
+   */
+  function addWorkerMarkers_(markers) {
+    for (var i = 0; i < markers.length; ++i) {
+      if (isFilteredOut_(markers[i])) {
+        filtered_.push(markers[i]);
+      } else {
+        points_.push(markers[i]);
+      }
+    }
+    isWorkerDirty_ = true;
+  }
+
+  /**
+   * Add points to be clustered, as objects with lat and lng properties. Each
+   * point is held as a layer standing in for its marker, with the point as
+   * its options, and its marker is only created once it is shown without
+   * cluster. Functions given markers, like the filter, get these layers.
+   *
+   * @param {Array of Object} points
+   * @param {Function} opt_pointToLayer A function(point) returning the
+   *     marker of a point, overriding the pointToLayer option.
+   */
+  this.addPoints = function (points, opt_pointToLayer) {
+    var toLayer = opt_pointToLayer || pointToLayer_;
+    var layers = [];
+    for (var i = 0; i < points.length; ++i) {
+      layers.push(new PointLayer_(points[i], toLayer));
+    }
+    this.addMarkers(layers);
+  };
+
+  /**
+   * Get the id of the feature a marker was created for by addGeoJSON, or the
+   * id property of the point it was added for by addPoints.
+   * @param {GMarker} marker
+   * @return {String|Number} The id, or null for other markers.
+   */
+  function getFeatureId_(marker) {
+    var layer = getLayer_(marker);
+    if (layer instanceof PointLayer_ && typeof layer.options.id !== "undefined") {
+      return layer.options.id;
+    }
+    return null;
+  }
+
+  /**
+   * Get a GeoJSON point feature for a cluster.
+   * @param {GLatLng} latlng
+   * @param {Array of String|Number} ids The feature ids of its markers.
+   * @param {Number} count The number of its markers.
+   * @return {Object}
+   */
+  function getClusterFeature_(latlng, ids, count) {
+    return {
+      'type': "Feature",
+      'geometry': {
+        'type': "Point",
+        'coordinates': [latlng.lng, latlng.lat]
+      },
+      'properties': {
+        'cluster': count > 1,
+        'count': count,
+        'ids': ids
+      }
+    };
+  }
+
+  /**
+   * Put the features of the clusters shown in worker mode into an array.
+   * Single points get their ids right away; the ids of the markers of
+   * clusters are asked to the worker, and filled in before the callback is
+   * called. The worker answers with indexes into the points as loaded when
+   * asked, so they are kept until then.
+   * @param {Array of Object} features
+   * @param {Function} opt_callback Without it, the worker is not asked and
+   *     the ids of clusters are left empty.
+   */
+  function getWorkerFeatures_(features, opt_callback) {
+    var nodeIds = [];
+    var nodeFeatures = [];
+    var points = loadedPoints_;
+    features.length = 0;
+    for (var id in workerLayers_) {
+      if (workerLayers_.hasOwnProperty(id)) {
+        var shown = workerLayers_[id];
+        if (shown.count > 1) {
+          nodeIds.push(Number(id));
+          nodeFeatures.push(getClusterFeature_(shown.latlng, [], shown.count));
+          features.push(nodeFeatures[nodeFeatures.length - 1]);
+        } else {
+          features.push(getClusterFeature_(shown.latlng, [getFeatureId_(shown.layer)], 1));
+        }
+      }
+    }
+    if (!opt_callback) {
+      return;
+    }
+    if (nodeIds.length === 0) {
+      opt_callback();
+      return;
+    }
+    membersCallbacks_[++membersRequest_] = function (members) {
+      for (var i = 0; i < nodeIds.length; ++i) {
+        var indexes = members[nodeIds[i]] || [];
+        var ids = nodeFeatures[i].properties.ids;
+        for (var j = 0; j < indexes.length; ++j) {
+          ids.push(getFeatureId_(points[indexes[j]]));
+        }
+      }
+      opt_callback();
+    };
+    worker_.postMessage({
+      'type': "members",
+      'requestId': membersRequest_,
+      'ids': nodeIds
+    });
+  }
+
+  /**
+   * Add the Point and MultiPoint features of GeoJSON data. Each position is
+   * clustered on its own; in worker mode the markers are only created for
+   * positions shown without cluster.
+   *
+   * @param {Object} geojson A FeatureCollection, Feature or geometry.
+   * @param {Object} opt_options Like the options of L.GeoJSON:
+   *   {Function} pointToLayer A function(feature, latlng) returning the marker
+   *       of a position. By default an L.Marker.
+   *   {Function} filter A function(feature) returning whether to add it.
+   */
+  this.addGeoJSON = function (geojson, opt_options) {
+    var options = opt_options || {};
+    var features = geojson.type === "FeatureCollection" ? geojson.features : [geojson];
+    var points = [];
+    for (var i = 0; i < features.length; ++i) {
+      var feature = features[i];
+      if (feature.type !== "Feature") {
+        feature = {'type': "Feature", 'geometry': feature, 'properties': {}};
+      }
+      if (!feature.geometry || (options.filter && !options.filter(feature))) {
+        continue;
+      }
+      var id = typeof feature.id !== "undefined" ? feature.id : featureCount_;
+      featureCount_++;
+
+      var coords;
+      if (feature.geometry.type === "Point") {
+        coords = [feature.geometry.coordinates];
+      } else if (feature.geometry.type === "MultiPoint") {
+        coords = feature.geometry.coordinates;
+      } else {
+        continue;
+      }
+      for (var j = 0; j < coords.length; ++j) {
+        points.push({
+          'lat': coords[j][1],
+          'lng': coords[j][0],
+          'id': id,
+          'feature': feature
+        });
+      }
+    }
+
+    this.addPoints(points, function (point) {
+      var latlng = new L.LatLng(point.lat, point.lng);
+      var marker = options.pointToLayer ? options.pointToLayer(point.feature, latlng) : new L.Marker(latlng);
+      marker.feature = point.feature;
+      return marker;
+    });
+  };
+
+  /**
+   * Export the clusters at the current zoom level as a GeoJSON
+   * FeatureCollection of points, each with the properties cluster, count and
+   * ids, the ids of the features of its markers. Markers not added by
+   * addGeoJSON have a null id, unless they are points with an id property.
+   * In worker mode the ids of the markers of clusters are only known once
+   * the worker answers: the FeatureCollection returned is completed before
+   * it is passed to the callback. If the clusters shown are from points
+   * since changed, it is built again once the worker has clustered them.
+   *
+   * @param {Function} opt_callback Called with the FeatureCollection.
+   * @return {Object} The FeatureCollection.
+   */
+  this.toGeoJSON = function (opt_callback) {
+    var features = [];
+    var result = {'type': "FeatureCollection", 'features': features};
+    var i;
+    var j;
+
+    function done() {
+      if (opt_callback) {
+        opt_callback(result);
+      }
+    }
+
+    if (isWorker_ && worker_ === null) {
+      // Nothing is shown without a map.
+      done();
+      return result;
+    }
+    if (isWorker_) {
+      if (workerLayersLoad_ === workerLoad_) {
+        getWorkerFeatures_(features, done);
+      } else {
+        getWorkerFeatures_(features);
+        // The ids of the clusters shown are from points since changed. The
+        // wait is registered as a request for members, so that it ends if
+        // the worker is stopped first.
+        var requestId = ++membersRequest_;
+        var onClusteringEnd = function () {
+          if (workerLayersLoad_ === workerLoad_) {
+            me_.off("clusteringend", onClusteringEnd);
+            delete membersCallbacks_[requestId];
+            getWorkerFeatures_(features, done);
+          }
+        };
+        membersCallbacks_[requestId] = function () {
+          me_.off("clusteringend", onClusteringEnd);
+          done();
+        };
+        me_.on("clusteringend", onClusteringEnd);
+      }
+      return result;
+    }
+
+    var clusters = this.getClustersInViewport_();
+    for (i = 0; i < clusters.length; ++i) {
+      var mks = clusters[i].getMarkers();
+      if (mks.length === 0) {
+        continue;
+      }
+      var featureIds = [];
+      for (j = 0; j < mks.length; ++j) {
+        featureIds.push(getFeatureId_(mks[j].marker));
+      }
+      features.push(getClusterFeature_(clusters[i].getCenter(), featureIds, featureIds.length));
+    }
+    done();
+    return result;
+  };
+
+  /**
+   * Add the markers to a map. Called by the map when the LeafClusterer is
+   * added to it.
+   *
+   * @param {GMap2} map
+   */
+  this.onAdd = function (map) {
+    map_ = map;
+    if (isWorker_) {
+      startWorker_();
+    }
+    if (index_ !== null) {
+      index_.setZoomRange(map_.getMinZoom(), getIndexDepth_());
+    }
+    addMapHandlers_(map);
+    this.resetViewport();
+  };
+
+  /**
+   * Listen to the map and to the cluster events for the options set, and add
+   * the live region and the canvas they need.
+   * @param {GMap2} map
+   */
+  function addMapHandlers_(map) {
+    // when map move end, regroup.
+    map.on("moveend", me_.resetViewport, me_);
+    if (spiderfy_) {
+      map.on("click", onMapClick_);
+      map.on("zoomstart", me_.unspiderfy, me_);
+    }
+    if (showCoverage_) {
+      me_.on("clustermouseover", addCoverage_);
+      me_.on("clustermouseout", removeCoverage_);
+      map.on("zoomstart", removeCoverage_);
+    }
+    if (clusterTooltip_ !== null) {
+      me_.on("clustermouseover", addTooltip_);
+      me_.on("clustermouseout", removeTooltip_);
+      map.on("zoomstart", removeTooltip_);
+    }
+    map.on("zoomstart", closeClusterPopup_);
+    if (liveRegion_ !== null) {
+      // Visually hidden, but read by screen readers.
+      liveRegionDiv_ = L.DomUtil.create('div', 'leafclusterer-live-region', map.getContainer());
+      liveRegionDiv_.setAttribute('role', 'status');
+      liveRegionDiv_.setAttribute('aria-live', 'polite');
+      liveRegionDiv_.style.cssText = 'position:absolute;width:1px;height:1px;overflow:hidden;' +
+          'clip:rect(0 0 0 0);white-space:nowrap';
+      me_.on("clusteringend", updateLiveRegion_);
+    }
+    if (renderer_ === "canvas" && L.Browser.canvas) {
+      canvas_ = new ClusterCanvas_();
+      map.addLayer(canvas_);
+    }
+  }
+
+  /**
+   * Unspiderfy on a click on the map, unless it is on a cluster marker drawn
+   * on the canvas, which handles the click like a cluster marker element.
+   * @param {MouseEvent} e
+   */
+  function onMapClick_(e) {
+    if (canvas_ === null || canvas_.hitTest_(e.layerPoint) === null) {
+      me_.unspiderfy();
+    }
+  }
+
+  /**
+   * Stop what addMapHandlers_ started. The cluster markers drawn on the
+   * canvas must be removed first.
+   * @param {GMap2} map
+   */
+  function removeMapHandlers_(map) {
+    map.off("moveend", me_.resetViewport, me_);
+    map.off("click", onMapClick_);
+    map.off("zoomstart", me_.unspiderfy, me_);
+    me_.off("clustermouseover", addCoverage_);
+    me_.off("clustermouseout", removeCoverage_);
+    map.off("zoomstart", removeCoverage_);
+    removeCoverage_();
+    me_.off("clustermouseover", addTooltip_);
+    me_.off("clustermouseout", removeTooltip_);
+    map.off("zoomstart", removeTooltip_);
+    removeTooltip_();
+    map.off("zoomstart", closeClusterPopup_);
+    closeClusterPopup_();
+    me_.off("clusteringend", updateLiveRegion_);
+    if (liveRegionDiv_ !== null) {
+      map.getContainer().removeChild(liveRegionDiv_);
+      liveRegionDiv_ = null;
+    }
+    if (canvas_ !== null) {
+      map.removeLayer(canvas_);
+      canvas_ = null;
+    }
+  }
+
+  /**
+   * Remove the clusters and markers from a map, keeping the markers in the
+   * LeafClusterer. Called by the map when the LeafClusterer is removed from it.
+   *
+   * @param {GMap2} map
+   */
+  this.onRemove = function (map) {
+    cancelAnimationEnd_();
+    if (indexFrame_ !== null) {
+      L.Util.cancelAnimFrame(indexFrame_);
+      indexFrame_ = null;
+    }
+    if (workerFrame_ !== null) {
+      L.Util.cancelAnimFrame(workerFrame_);
+      workerFrame_ = null;
+    }
+    stopAnimation_();
+    lastZoom_ = null;
+    this.unspiderfy();
+    if (provider_ !== null) {
+      clearProviderTiles_();
+    }
+
+    if (heatmap_ !== null) {
+      map.removeLayer(heatmap_);
+      heatmap_ = null;
+    }
+
+    clearLayers_();
+    if (isWorker_) {
+      stopWorker_();
+    }
+    removeMapHandlers_(map);
+    map_ = null;
+  };
+
+  /**
+   * Add the LeafClusterer to a map.
+   *
+   * @param {GMap2} map
+   * @return {LeafClusterer}
+   */
+  this.addTo = function (map) {
+    map.addLayer(this);
+    return this;
+  };
+
+  /**
+   * Set the filter, a function(marker) returning whether a marker is shown.
+   * The markers it now rejects are removed, and those it now accepts are
+   * added; the others keep their clusters. The markers it rejects are kept,
+   * so they come back when the filter changes. See the filter option.
+   *
+   * @param {Function} fn The filter, or null to show all markers.
+   * @return {LeafClusterer}
+   */
+  this.setFilter = function (fn) {
+    filter_ = typeof fn === "function" ? fn : null;
+    var markers = getAllMarkers_();
+    var rejected = [];
+    var accepted = [];
+    var filtered = [];
+    var i;
+    for (i = 0; i < markers.length; ++i) {
+      if (isFilteredOut_(markers[i])) {
+        rejected.push(markers[i]);
+      }
+    }
+    for (i = 0; i < filtered_.length; ++i) {
+      if (isFilteredOut_(filtered_[i])) {
+        filtered.push(filtered_[i]);
+      } else {
+        accepted.push(filtered_[i]);
+      }
+    }
+    if (map_ !== null) {
+      stopAnimation_();
+      removeCoverage_();
+    }
+    filtered_ = filtered;
+    if (rejected.length > 0) {
+      this.removeMarkers(rejected);
+      filtered_ = filtered_.concat(rejected);
+    }
+    if (accepted.length > 0) {
+      this.addMarkers(accepted);
+    }
+    return this;
+  };
+
+  /**
+   * Get the markers passing the filter, whether clustered or not.
+   *
+   * @return {Array of GMarker}
+   */
+  this.getVisibleMarkers = function () {
+    return getAllMarkers_();
+  };
+
+  /**
+   * Get what shows a marker on the map: the marker itself, or the cluster
+   * whose cluster marker is shown for it. In worker mode, clusters are not
+   * known, so only the marker itself is returned.
+   *
+   * @param {GMarker} marker
+   * @return {GMarker|Cluster} The marker or the cluster, or null if neither
+   *     is shown, e.g. out of the clustering bounds.
+   */
+  this.getVisibleParent = function (marker) {
+    if (map_ === null) {
+      return null;
+    }
+    marker = getLayer_(marker);
+    if (map_.hasLayer(marker)) {
+      return marker;
+    }
+    if (isWorker_) {
+      return null;
+    }
+    var cluster = null;
+    if (index_ !== null) {
+      for (var i = 0; i < clusters_.length && cluster === null; ++i) {
+        var mks = clusters_[i].getMarkers();
+        for (var j = 0; j < mks.length; ++j) {
+          if (mks[j].marker === marker) {
+            cluster = clusters_[i];
+            break;
+          }
+        }
+      }
+    } else if (owners_.hasOwnProperty(L.stamp(marker))) {
+      cluster = owners_[L.stamp(marker)];
+    }
+    if (cluster === null) {
+      return null;
+    }
+    var clusterMarker = cluster.getClusterMarker_();
+    return clusterMarker !== null && map_.hasLayer(clusterMarker) && !clusterMarker.isHidden() ? cluster : null;
+  };
+
+  /**
+   * Zoom and pan the map, and spiderfy the cluster of a marker if needed,
+   * until the marker is shown on its own in view, then call a function,
+   * e.g. to open its popup. Each step zooms at least one level in, to the
+   * bounds of the cluster holding the marker, and waits for the clustering.
+   *
+   * @param {GMarker} marker
+   * @param {Function} opt_callback Called once the marker is shown, or with
+   *     an Error if it can not be: the LeafClusterer is not on a map, the
+   *     marker was not added or is rejected by the filter, or it is still
+   *     not shown at the max zoom level.
+   */
+  this.zoomToShowLayer = function (marker, opt_callback) {
+    var step;
+    var onClusteringEnd = function () {
+      me_.off("clusteringend", onClusteringEnd);
+      step();
+    };
+    function finish(opt_error) {
+      me_.off("clusteringend", onClusteringEnd);
+      if (opt_callback) {
+        opt_callback(opt_error);
+      }
+    }
+    function fail(message) {
+      finish(new Error("LeafClusterer: " + message));
+    }
+    if (map_ === null) {
+      fail("not on a map");
+      return;
+    }
+    if (!this.hasLayer(marker)) {
+      fail("marker not added");
+      return;
+    }
+    if (filtered_.indexOf(getLayer_(marker)) !== -1) {
+      fail("marker rejected by the filter");
+      return;
+    }
+    marker = getLayer_(marker);
+    step = function () {
+      if (map_ === null) {
+        fail("not on a map");
+        return;
+      }
+      var latlng = marker.getLatLng();
+      var parent = me_.getVisibleParent(marker);
+      if (parent === marker && map_.getBounds().contains(latlng)) {
+        finish();
+        return;
+      }
+      if (parent !== null && parent !== marker && parent.isSpiderfiable_()) {
+        parent.spiderfy();
+        finish();
+        return;
+      }
+      // Markers are shown on their own from this zoom level on, unless the
+      // map can not zoom that far.
+      var maxZoom = Math.min(getIndexMaxZoom_(), map_.getMaxZoom());
+
+      // Out of view, only pan to the marker, to find out what shows it at
+      // this zoom level. In view, it is clustered: zoom in.
+      var zoom = map_.getZoom();
+      if (map_.getBounds().contains(latlng)) {
+        if (zoom >= maxZoom) {
+          fail("marker not shown at the max zoom level");
+          return;
+        }
+        var bounds = parent !== null ? parent.getBounds() : null;
+        zoom = Math.max(zoom + 1, bounds === null ? 0 : map_.getBoundsZoom(bounds));
+        zoom = Math.min(zoom, maxZoom);
+      }
+      if (zoom === map_.getZoom() && map_.getCenter().equals(latlng)) {
+        // The view would not change, so no clustering would follow.
+        fail("marker can not be shown");
+        return;
+      }
+      me_.on("clusteringend", onClusteringEnd);
+      map_.setView(latlng, zoom);
+    };
+    step();
+  };
+
+  /**
+   * Get all markers, whether clustered or not, including the ones rejected
+   * by the filter.
+   *
+   * @return {Array of GMarker}
+   */
+  this.getLayers = function () {
+    return getAllMarkers_().concat(getFilteredMarkers_());
   };
 
+  /**
+   * Call a function for each marker.
+   *
+   * @param {Function} fn Called with each marker.
+   * @param {Object} opt_context The this of fn.
+   * @return {LeafClusterer}
+   */
+  this.eachLayer = function (fn, opt_context) {
+    var markers = this.getLayers();
+    for (var i = 0; i < markers.length; ++i) {
+      fn.call(opt_context, markers[i]);
+    }
+    return this;
+  };
 
   /**
-   * Add a set of markers.
+   * Check whether a marker was added to the LeafClusterer.
    *
-   * @param {Array of GMarker} markers The markers you want to add.
+   * @param {GMarker} marker
+   * @return {Boolean}
    */
-  this.addMarkers = function (markers) {
+  this.hasLayer = function (marker) {
+    marker = getLayer_(marker);
+    return getAllMarkers_().indexOf(marker) !== -1 || filtered_.indexOf(marker) !== -1;
+  };
+
+  /**
+   * Get the bounds of the markers passing the filter.
+   *
+   * @return {GLatLngBounds}
+   */
+  this.getBounds = function () {
+    var bounds = new L.LatLngBounds();
+    var markers = getAllMarkers_();
     for (var i = 0; i < markers.length; ++i) {
-      this.addMarker(markers[i], true);
+      bounds.extend(this.getMarkerLatLng_(markers[i]));
     }
-    this.redraw_();
+    return bounds;
+  };
+
+  /**
+   * Add a marker, like L.FeatureGroup.
+   *
+   * @param {GMarker} marker
+   * @return {LeafClusterer}
+   */
+  this.addLayer = function (marker) {
+    this.addMarker(marker);
+    return this;
+  };
+
+  /**
+   * Remove a marker, like L.FeatureGroup.
+   *
+   * @param {GMarker} marker
+   * @return {LeafClusterer}
+   */
+  this.removeLayer = function (marker) {
+    this.removeMarker(marker);
+    return this;
+  };
+
+  /**
+   * Remove all markers, like L.FeatureGroup.
+   *
+   * @return {LeafClusterer}
+   */
+  this.clearLayers = function () {
+    this.clearMarkers();
+    return this;
   };
 
   // initialize
   if (typeof opt_markers === "object" && opt_markers !== null) {
     this.addMarkers(opt_markers);
   }
-
-  // when map move end, regroup.
-  mcfn_ = map_.on("moveend", function () {
-    me_.resetViewport();
-  });
+  if (typeof opt_map === "object" && opt_map !== null) {
+    opt_map.addLayer(this);
+  }
 }
 
+L.Util.extend(LeafClusterer.prototype, L.Mixin.Events);
+
+LeafClusterer.algorithms = LeafClustererCore.algorithms;
+
 /**
  * Create a cluster to collect markers.
  * A cluster includes some markers which are in a block of area.
@@ -410,6 +3738,176 @@ function Cluster(leafClusterer) {
   var map_ = leafClusterer.getMap_();
   var clusterMarker_ = null;
   var zoom_ = map_.getZoom();
+  var spider_ = null;
+  var spiderLatLngs_ = null;
+  var aggregate_ = null;
+  var categories_ = {};
+
+  // Running sums of the marker positions, plain and weighted. Longitudes are
+  // summed relative to refLng_, the longitude of the first marker, so that
+  // clusters across the antimeridian are centered between their markers.
+  var refLng_ = null;
+  var medoid_ = null;
+  var sumLat_ = 0;
+  var sumLng_ = 0;
+  var weightedLat_ = 0;
+  var weightedLng_ = 0;
+  var sumWeight_ = 0;
+
+  /**
+   * Add a marker to the running sums of positions and category counts.
+   * @param {GMarker} marker
+   * @param {Number} sign 1 to add the marker, -1 to subtract it.
+   */
+  function sumMarker_(marker, sign) {
+    var category = leafClusterer_.getCategory_(marker);
+    if (category !== null) {
+      categories_[category] = (categories_[category] || 0) + sign;
+      if (categories_[category] === 0) {
+        delete categories_[category];
+      }
+    }
+    var latlng = marker.getLatLng();
+    if (refLng_ === null) {
+      refLng_ = latlng.lng;
+    }
+    var lng = unwrapLng_(latlng.lng);
+    sumLat_ += sign * latlng.lat;
+    sumLng_ += sign * lng;
+    if (leafClusterer_.getCenterStrategy_() === "weighted") {
+      var weight = leafClusterer_.getWeight_(marker);
+      weightedLat_ += sign * weight * latlng.lat;
+      weightedLng_ += sign * weight * lng;
+      sumWeight_ += sign * weight;
+    }
+  }
+
+  /**
+   * Get a longitude within 180 degrees of refLng_.
+   * @param {Number} lng
+   * @return {Number}
+   */
+  function unwrapLng_(lng) {
+    var d = lng - refLng_;
+    return refLng_ + d - 360 * Math.round(d / 360);
+  }
+
+  /**
+   * Get the squared distance in degrees of a marker from a position
+   * with an unwrapped longitude.
+   * @param {GMarker} marker
+   * @param {GLatLng} latlng
+   * @return {Number}
+   */
+  function getDistance_(marker, latlng) {
+    var dLat = marker.getLatLng().lat - latlng.lat;
+    var dLng = unwrapLng_(marker.getLatLng().lng) - latlng.lng;
+    return dLat * dLat + dLng * dLng;
+  }
+
+  /**
+   * Update center_ after markers joined or left, by the center strategy of
+   * the {@link LeafClusterer}. The medoid is kept as markers join, the one
+   * joining taking its place if it is nearer to the centroid, and only
+   * searched for among all markers when it leaves.
+   * @param {GMarker} opt_marker The marker which joined.
+   */
+  function updateCenter_(opt_marker) {
+    var count = markers_.length;
+    if (count === 0) {
+      center_ = null;
+      return;
+    }
+    var strategy = leafClusterer_.getCenterStrategy_();
+    if (strategy === "first") {
+      center_ = markers_[0].marker.getLatLng();
+      return;
+    }
+    if (strategy === "weighted" && sumWeight_ > 0) {
+      center_ = new L.LatLng(weightedLat_ / sumWeight_, weightedLng_ / sumWeight_).wrap();
+      return;
+    }
+
+    var centroid = new L.LatLng(sumLat_ / count, sumLng_ / count);
+    if (strategy !== "medoid") {
+      center_ = centroid.wrap();
+      return;
+    }
+    if (medoid_ === null) {
+      var minDistance = Infinity;
+      for (var i = 0; i < count; ++i) {
+        var distance = getDistance_(markers_[i].marker, centroid);
+        if (distance < minDistance) {
+          minDistance = distance;
+          medoid_ = markers_[i].marker;
+        }
+      }
+    } else if (opt_marker && getDistance_(opt_marker, centroid) < getDistance_(medoid_, centroid)) {
+      medoid_ = opt_marker;
+    }
+    center_ = medoid_.getLatLng();
+  }
+
+  /**
+   * Get the zoom level from which markers are shown without cluster.
+   * @return {Number}
+   */
+  function getMaxZoom_() {
+    var mz = leafClusterer_.getMaxZoom_();
+    if (mz === null) {
+      mz = map_.getMaxZoom();
+    }
+    return mz;
+  }
+
+  /**
+   * Get the layer points to fan markers out to around a center point, on a
+   * circle for a few markers and on a spiral for more.
+   * @param {Number} count Number of markers.
+   * @param {GPoint} center
+   * @return {Array of GPoint}
+   */
+  function getSpiderPoints_(count, center) {
+    var points = [];
+    var i;
+    var angle;
+    var legLength;
+    if (count <= 8) {
+      legLength = 25 * (2 + count) / (2 * Math.PI);
+      for (i = 0; i < count; ++i) {
+        angle = Math.PI / 6 + i * 2 * Math.PI / count;
+        points.push(new L.Point(center.x + legLength * Math.cos(angle),
+                                center.y + legLength * Math.sin(angle)));
+      }
+    } else {
+      legLength = 11;
+      angle = 0;
+      for (i = 0; i < count; ++i) {
+        angle += 28 / legLength + i * 0.0005;
+        points.push(new L.Point(center.x + legLength * Math.cos(angle),
+                                center.y + legLength * Math.sin(angle)));
+        legLength += 2 * Math.PI * 5 / angle;
+      }
+    }
+    return points;
+  }
+
+  /**
+   * Get the position of a marker of this cluster, which is not where it is
+   * shown while the cluster is spiderfied.
+   * @private
+   * @param {GMarker} marker
+   * @return {GLatLng}
+   */
+  this.getMarkerLatLng_ = function (marker) {
+    if (spiderLatLngs_ !== null) {
+      var latlng = spiderLatLngs_[L.stamp(marker)];
+      if (typeof latlng !== "undefined") {
+        return latlng;
+      }
+    }
+    return marker.getLatLng();
+  };
 
   /**
    * Get markers of this cluster.
@@ -453,6 +3951,172 @@ function Cluster(leafClusterer) {
     return inViewport;
   };
 
+  /**
+   * Get the bounds of the markers in this cluster.
+   *
+   * @return {GLatLngBounds}
+   */
+  this.getBounds = function () {
+    var bounds = new L.LatLngBounds();
+    for (var i = 0; i < markers_.length; ++i) {
+      bounds.extend(this.getMarkerLatLng_(markers_[i].marker));
+    }
+    return bounds;
+  };
+
+  /**
+   * Get the convex hull of the markers in this cluster.
+   *
+   * @return {Array of GLatLng} The corners of the hull, counterclockwise.
+   */
+  this.getConvexHull = function () {
+    var latlngs = [];
+    var i;
+    for (i = 0; i < markers_.length; ++i) {
+      latlngs.push(this.getMarkerLatLng_(markers_[i].marker));
+    }
+    if (latlngs.length < 3) {
+      return latlngs;
+    }
+    latlngs.sort(function (a, b) {
+      return a.lng === b.lng ? a.lat - b.lat : a.lng - b.lng;
+    });
+
+    // Andrew's monotone chain, with lng as x and lat as y.
+    function cross(o, a, b) {
+      return (a.lng - o.lng) * (b.lat - o.lat) - (a.lat - o.lat) * (b.lng - o.lng);
+    }
+    var lower = [];
+    for (i = 0; i < latlngs.length; ++i) {
+      while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], latlngs[i]) <= 0) {
+        lower.pop();
+      }
+      lower.push(latlngs[i]);
+    }
+    var upper = [];
+    for (i = latlngs.length - 1; i >= 0; --i) {
+      while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], latlngs[i]) <= 0) {
+        upper.pop();
+      }
+      upper.push(latlngs[i]);
+    }
+    lower.pop();
+    upper.pop();
+    return lower.concat(upper);
+  };
+
+  /**
+   * Fire a cluster event on the {@link LeafClusterer}.
+   * @private
+   * @param {String} type The event type, like "clusterclick".
+   * @param {Event} opt_originalEvent The DOM event.
+   */
+  this.fireEvent_ = function (type, opt_originalEvent) {
+    leafClusterer_.fireClusterEvent_(type, this, opt_originalEvent);
+  };
+
+  /**
+   * Whether clicking the cluster marker should zoom to the cluster.
+   * @private
+   * @return {Boolean}
+   */
+  this.isZoomOnClick_ = function () {
+    return leafClusterer_.isZoomOnClick_();
+  };
+
+  /**
+   * Whether clicking the cluster marker opens a popup listing its markers.
+   * @private
+   * @return {Boolean}
+   */
+  this.hasPopup_ = function () {
+    return leafClusterer_.hasClusterPopup_();
+  };
+
+  /**
+   * Open the popup listing the markers of the cluster, with the
+   * clusterPopup option of {@link LeafClusterer}.
+   */
+  this.openPopup = function () {
+    leafClusterer_.openClusterPopup_(this);
+  };
+
+  /**
+   * Whether the cluster should be spiderfied instead of zoomed to, because
+   * zooming in would not split it.
+   * @private
+   * @return {Boolean}
+   */
+  this.isSpiderfiable_ = function () {
+    if (!leafClusterer_.isSpiderfy_() || markers_.length < 2) {
+      return false;
+    }
+    if (zoom_ >= getMaxZoom_()) {
+      return true;
+    }
+    var bounds = this.getBounds();
+    return bounds.getSouthWest().equals(bounds.getNorthEast());
+  };
+
+  /**
+   * Fan the markers of this cluster out around its center, connected to it
+   * by spider legs. Until the cluster is unspiderfied, the markers report
+   * their fanned out position from getLatLng; the clusterer keeps using
+   * their own position. The cluster is unspiderfied before markers join or
+   * leave it.
+   */
+  this.spiderfy = function () {
+    if (spider_ !== null || markers_.length < 2) {
+      return;
+    }
+    leafClusterer_.setSpiderfied_(this);
+
+    var points = getSpiderPoints_(markers_.length, map_.latLngToLayerPoint(center_));
+    var style = leafClusterer_.getSpiderLegStyle_();
+    spider_ = [];
+    spiderLatLngs_ = {};
+    for (var i = 0; i < markers_.length; ++i) {
+      var marker = markers_[i].marker;
+      var latlng = map_.layerPointToLatLng(points[i]);
+      var leg = new L.Polyline([center_, latlng], style);
+      map_.addLayer(leg);
+      spider_.push({
+        'marker': marker,
+        'latlng': marker.getLatLng(),
+        'leg': leg
+      });
+      spiderLatLngs_[L.stamp(marker)] = marker.getLatLng();
+      marker.setLatLng(latlng);
+      map_.addLayer(marker);
+      markers_[i].isAdded = true;
+    }
+    if (clusterMarker_ !== null) {
+      clusterMarker_.hide();
+    }
+    this.fireEvent_('spiderfied');
+  };
+
+  /**
+   * Move the markers of a spiderfied cluster back to their position.
+   * @param {Boolean} opt_isNodraw Whether to leave the cluster marker hidden.
+   */
+  this.unspiderfy = function (opt_isNodraw) {
+    if (spider_ === null) {
+      return;
+    }
+    for (var i = 0; i < spider_.length; ++i) {
+      map_.removeLayer(spider_[i].leg);
+      spider_[i].marker.setLatLng(spider_[i].latlng);
+    }
+    spider_ = null;
+    spiderLatLngs_ = null;
+    leafClusterer_.setSpiderfied_(null);
+    if (!opt_isNodraw) {
+      this.redraw_(true);
+    }
+    this.fireEvent_('unspiderfied');
+  };
+
   /**
    * Get cluster center.
    *
@@ -470,10 +4134,11 @@ function Cluster(leafClusterer) {
    *   {GMarker} marker The marker you want to add.
    */
   this.addMarker = function (marker) {
-    if (center_ === null) {
-      center_ = marker.marker.getLatLng();
-    }
+    this.unspiderfy(true);
     markers_.push(marker);
+    sumMarker_(marker.marker, 1);
+    updateCenter_(marker.marker);
+    aggregate_ = null;
   };
 
   /**
@@ -483,18 +4148,34 @@ function Cluster(leafClusterer) {
    * @return {Boolean} Whether find the marker to be removed.
    */
   this.removeMarker = function (marker) {
+    this.unspiderfy(true);
     for (var i = 0; i < markers_.length; ++i) {
       if (marker === markers_[i].marker) {
         if (markers_[i].isAdded) {
           map_.removeLayer(markers_[i].marker);
         }
         markers_.splice(i, 1);
+        sumMarker_(marker, -1);
+        if (marker === medoid_) {
+          medoid_ = null;
+        }
+        updateCenter_();
+        aggregate_ = null;
         return true;
       }
     }
     return false;
   };
 
+  /**
+   * Get the cluster marker of this cluster.
+   * @private
+   * @return {ClusterMarker_} The cluster marker, or null if none was created.
+   */
+  this.getClusterMarker_ = function () {
+    return clusterMarker_;
+  };
+
   /**
    * Get current zoom level of this cluster.
    * Note: the cluster zoom level and map zoom level not always the same.
@@ -512,20 +4193,27 @@ function Cluster(leafClusterer) {
    *     in viewport.
    */
   this.redraw_ = function (isForce) {
-    if (!isForce && !this.isInBounds()) {
+    if (spider_ !== null) {
       return;
     }
+    if (!isForce) {
+      var bounds = leafClusterer_.getClusteringBounds_();
+      if (bounds !== null && !this.isInBounds(bounds)) {
+        return;
+      }
+    }
 
     // Set cluster zoom level.
     zoom_ = map_.getZoom();
     var i = 0;
-    var mz = leafClusterer.getMaxZoom_();
-    if (mz === null) {
-      mz = map_.getMaxZoom();
-    }
-    if (zoom_ >= mz || this.getTotalMarkers() === 1) {
+    var mz = getMaxZoom_();
+    if ((zoom_ >= mz && !leafClusterer_.isSpiderfy_()) || leafClusterer_.isClusteringDisabled_(zoom_) ||
+        this.getTotalMarkers() < leafClusterer_.getMinClusterSize_()) {
       // If current zoom level is beyond the max zoom level or the cluster
-      // have only one marker, the marker(s) in cluster will be showed on map.
+      // have less markers than minClusterSize, the marker(s) in cluster will
+      // be showed on map.
+      // With spiderfy, clusters are kept at the max zoom level so that
+      // markers on the same spot can be fanned out.
       for (i = 0; i < markers_.length; ++i) {
         map_.addLayer(markers_[i].marker);
         markers_[i].isAdded = true;
@@ -540,46 +4228,203 @@ function Cluster(leafClusterer) {
           map_.removeLayer(markers_[i].marker);
         }
       }
-      if (clusterMarker_ === null) {
-        clusterMarker_ = new ClusterMarker_(center_, this.getTotalMarkers(), leafClusterer_.getStyles_(), leafClusterer_.getGridSize_() / 2);
-        map_.addLayer(clusterMarker_);
-      } else {
-        clusterMarker_.reset({count: this.getTotalMarkers()});
-        clusterMarker_.redraw();
-        if (clusterMarker_.isHidden()) {
-          clusterMarker_.show();
+      var label = leafClusterer_.calculate_(this);
+      var icon = leafClusterer_.createIcon_(this);
+      var ariaLabel = leafClusterer_.getAriaLabel_(this.getTotalMarkers());
+      if (clusterMarker_ === null) {
+        clusterMarker_ = new ClusterMarker_(center_, {text: label.text, index: label.index, ariaLabel: ariaLabel},
+            leafClusterer_.getStyles_(), leafClusterer_.getGridSize_() / 2, this, icon, leafClusterer_.getCanvas_());
+        map_.addLayer(clusterMarker_);
+      } else {
+        clusterMarker_.reset({latLng: center_, text: label.text, index: label.index, icon: icon,
+            styles: leafClusterer_.getStyles_(), padding: leafClusterer_.getGridSize_() / 2,
+            ariaLabel: ariaLabel});
+        clusterMarker_.redraw();
+        if (clusterMarker_.isHidden()) {
+          clusterMarker_.show();
+        }
+      }
+    }
+  };
+
+  /**
+   * Remove all the markers from this cluster.
+   */
+  this.clearMarkers = function () {
+    this.unspiderfy(true);
+    if (clusterMarker_ !== null) {
+      map_.removeLayer(clusterMarker_);
+    }
+    for (var i = 0; i < markers_.length; ++i) {
+      if (markers_[i].isAdded) {
+        map_.removeLayer(markers_[i].marker);
+      }
+    }
+    markers_ = [];
+    sumLat_ = sumLng_ = weightedLat_ = weightedLng_ = sumWeight_ = 0;
+    refLng_ = null;
+    medoid_ = null;
+    categories_ = {};
+    center_ = null;
+    aggregate_ = null;
+  };
+
+  /**
+   * Get number of markers.
+   * @return {Number}
+   */
+  this.getTotalMarkers = function () {
+    return markers_.length;
+  };
+
+  /**
+   * Get the value shown on the cluster marker, as computed by the aggregate
+   * option of {@link LeafClusterer}. This is the number of markers by default.
+   * @return {Number}
+   */
+  this.getAggregate = function () {
+    if (aggregate_ === null) {
+      var markers = [];
+      for (var i = 0; i < markers_.length; ++i) {
+        markers.push(markers_[i].marker);
+      }
+      aggregate_ = leafClusterer_.getAggregate_(markers);
+    }
+    return aggregate_;
+  };
+
+  /**
+   * Drop the value computed by the aggregate option, e.g. because the
+   * option changed.
+   * @private
+   */
+  this.resetAggregate_ = function () {
+    aggregate_ = null;
+  };
+
+  /**
+   * Get the number of markers per category, as computed by the categoryFn
+   * option of {@link LeafClusterer}.
+   * @return {Object} The counts by category, like {"open": 3, "closed": 1}.
+   */
+  this.getCategoryCounts = function () {
+    return L.Util.extend({}, categories_);
+  };
+
+  /**
+   * Get the category of the first marker of the cluster. With the
+   * clusterByCategory option, this is the category of all its markers.
+   * @return {String} The category, or null without categoryFn.
+   */
+  this.getCategory = function () {
+    if (markers_.length === 0) {
+      return null;
+    }
+    return leafClusterer_.getCategory_(markers_[0].marker);
+  };
+}
+
+/**
+ * Create the clustering worker from {@link LeafClustererCore.getWorkerSource}.
+ * Where workers are not supported, an object with the same interface runs
+ * the worker main function of the core asynchronously on the main thread
+ * instead.
+ *
+ * @private
+ * @return {Worker}
+ */
+function createClusterWorker_() {
+  if (typeof Worker !== "undefined" && typeof Blob !== "undefined" &&
+      typeof URL !== "undefined" && URL.createObjectURL) {
+    var source = LeafClustererCore.getWorkerSource();
+    try {
+      return new Worker(URL.createObjectURL(new Blob([source], {'type': "text/javascript"})));
+    } catch (e) {
+      // Fall through, e.g. when workers from blob URLs are forbidden.
+    }
+  }
+
+  var worker = {'onmessage': null};
+  var scope = {
+    'postMessage': function (data) {
+      setTimeout(function () {
+        if (worker.onmessage) {
+          worker.onmessage({'data': data});
+        }
+      }, 0);
+    }
+  };
+  LeafClustererCore.workerMain(scope);
+  worker.postMessage = function (data) {
+    setTimeout(function () {
+      if (scope.onmessage) {
+        scope.onmessage({'data': data});
+      }
+    }, 0);
+  };
+  worker.terminate = function () {
+    scope.onmessage = null;
+    worker.onmessage = null;
+  };
+  return worker;
+}
+
+/**
+ * Whether two icons look the same: icons of the same class with the same
+ * options. iconCreateFunction returns a new icon on every redraw, which
+ * should not rebuild the cluster marker if nothing changed.
+ *
+ * @private
+ * @param {L.Icon} a An icon or null.
+ * @param {L.Icon} b An icon or null.
+ * @return {Boolean}
+ */
+function isSameIcon_(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (!a || !b || a.constructor !== b.constructor) {
+    return false;
+  }
+  function isSame(x, y) {
+    if (x instanceof L.Point && y instanceof L.Point) {
+      return x.equals(y);
+    }
+    if (L.Util.isArray(x) && L.Util.isArray(y)) {
+      if (x.length !== y.length) {
+        return false;
+      }
+      for (var i = 0; i < x.length; ++i) {
+        if (x[i] !== y[i]) {
+          return false;
         }
       }
+      return true;
     }
-  };
-
-  /**
-   * Remove all the markers from this cluster.
-   */
-  this.clearMarkers = function () {
-    if (clusterMarker_ !== null) {
-      map_.removeLayer(clusterMarker_);
+    return x === y;
+  }
+  var key;
+  for (key in a.options) {
+    if (!isSame(a.options[key], b.options[key])) {
+      return false;
     }
-    for (var i = 0; i < markers_.length; ++i) {
-      if (markers_[i].isAdded) {
-        map_.removeLayer(markers_[i].marker);
-      }
+  }
+  for (key in b.options) {
+    if (!(key in a.options)) {
+      return false;
     }
-    markers_ = [];
-  };
-
-  /**
-   * Get number of markers.
-   * @return {Number}
-   */
-  this.getTotalMarkers = function () {
-    return markers_.length;
-  };
+  }
+  return true;
 }
 
 ClusterMarker_ = L.Class.extend({
-  initialize: function(latLng_, count_, styles_, padding_) {
-    this.reset({latLng:latLng_, count: count_, styles: styles_, padding: padding_});
+  initialize: function(latLng_, label_, styles_, padding_, opt_cluster, opt_icon, opt_canvas) {
+    this.cluster_ = opt_cluster || null;
+    this.canvas_ = opt_canvas || null;
+    this.hidden_ = false;
+    this.ghost_ = false;
+    this.reset({latLng:latLng_, text: label_.text, index: label_.index, styles: styles_, padding: padding_, icon: opt_icon || null,
+                ariaLabel: label_.ariaLabel});
   },
                
   reset: function(opts) {
@@ -587,7 +4432,8 @@ ClusterMarker_ = L.Class.extend({
       return;
 
     var updated = 0;
-    if (typeof opts.latLng === "object" && opts.latLng != this.latlng_) {
+    if (typeof opts.latLng === "object" && opts.latLng !== null &&
+        (!this.latlng_ || !this.latlng_.equals(opts.latLng))) {
       this.latlng_ = opts.latLng;
       updated = 1;
     }
@@ -599,21 +4445,22 @@ ClusterMarker_ = L.Class.extend({
       styles_updated = 1;
     }
 
-    if (typeof opts.count === "number" && opts.count != this.count_ || styles_updated) {
-      this.count_ = opts.count;
-
-      var index = 0;
-      var dv = this.count_;
-      while (dv !== 0) {
-          dv = parseInt(dv / 10, 10);
-          index ++;
-      }
+    if (typeof opts.text !== "undefined" && opts.text !== this.text_) {
+      this.text_ = opts.text;
+      updated = 1;
+    }
 
+    if (typeof opts.index === "number" && opts.index !== this.index_ || styles_updated) {
       var styles = this.styles_;
+      var index = typeof opts.index === "number" ? opts.index : this.index_;
 
       if (styles.length < index) {
           index = styles.length;
       }
+      if (index < 1) {
+          index = 1;
+      }
+      updated = 1;
       this.url_ = styles[index - 1].url;
       this.height_ = styles[index - 1].height;
       this.width_ = styles[index - 1].width;
@@ -627,31 +4474,71 @@ ClusterMarker_ = L.Class.extend({
       updated = 1;
     }
 
+    if (typeof opts.icon === "object" && !isSameIcon_(opts.icon, this.icon_)) {
+      this.icon_ = opts.icon;
+      updated = 1;
+    }
+
+    // Only set on the container, so the layout does not change.
+    if (typeof opts.ariaLabel === "string") {
+      this.ariaLabel_ = opts.ariaLabel;
+    }
+
     this.updated |= updated;
   },
 
   onAdd: function(map) {
     this.map_ = map;
+    if (this.canvas_ !== null) {
+      this.canvas_.addMarker_(this);
+      return;
+    }
     this.container_ = L.DomUtil.create('div', 'cluster-marker-container');
     map.getPanes().overlayPane.appendChild(this.container_);
-    var cluster = this;
+    if (this.ghost_) {
+      this.container_.tabIndex = -1;
+      this.container_.setAttribute('aria-hidden', 'true');
+    } else {
+      this.container_.tabIndex = 0;
+      this.container_.setAttribute('role', 'button');
+    }
 
-    if (this.container_.addEventListener) {
-      this.container_.addEventListener("click",
-        function() {
-          cluster.onClick_(cluster);
-        }, false); 
-    } else if (this.container_.attachEvent) {
-      this.container_.attachEvent("onclick",
-        function() {
-          cluster.onClick_(cluster);
-        });     
-    }   
+    L.DomEvent.addListener(this.container_, 'click', this.onClick_, this);
+    L.DomEvent.addListener(this.container_, 'keydown', this.onKeyDown_, this);
+    // Unlike mouseover and mouseout, these do not fire again when the mouse
+    // moves between the children of the container.
+    L.DomEvent.addListener(this.container_, 'mouseenter', this.onMouseOver_, this);
+    L.DomEvent.addListener(this.container_, 'mouseleave', this.onMouseOut_, this);
     map.on('viewreset', this.redraw, this);
     this.redraw();
   },
+
+  onKeyDown_: function(e) {
+    // Enter or Space expand the cluster, like a click.
+    if (e.keyCode === 13 || e.keyCode === 32) {
+      L.DomEvent.preventDefault(e);
+      this.onClick_(e);
+    }
+  },
     
-  onClick_: function(cluster) {
+  onClick_: function(e) {
+    L.DomEvent.stopPropagation(e);
+    if (this.cluster_ !== null) {
+      this.cluster_.fireEvent_('clusterclick', e);
+      if (this.cluster_.hasPopup_()) {
+        this.cluster_.openPopup();
+        return;
+      }
+      if (this.cluster_.isSpiderfiable_()) {
+        this.cluster_.spiderfy();
+        return;
+      }
+      if (!this.cluster_.isZoomOnClick_()) {
+        return;
+      }
+    }
+
+    var cluster = this;
     var padding = cluster.padding_;
     var map = cluster.map_;
 
@@ -664,12 +4551,37 @@ ClusterMarker_ = L.Class.extend({
     map.setView(cluster.latlng_, zoom);
   },
 
+  onMouseOver_: function(e) {
+    if (this.cluster_ !== null) {
+      this.cluster_.fireEvent_('clustermouseover', e);
+    }
+  },
+
+  onMouseOut_: function(e) {
+    if (this.cluster_ !== null) {
+      this.cluster_.fireEvent_('clustermouseout', e);
+    }
+  },
+
   onRemove: function(map) {
+    if (this.canvas_ !== null) {
+      this.canvas_.removeMarker_(this);
+      return;
+    }
+    L.DomEvent.removeListener(this.container_, 'click', this.onClick_, this);
+    L.DomEvent.removeListener(this.container_, 'keydown', this.onKeyDown_, this);
+    L.DomEvent.removeListener(this.container_, 'mouseenter', this.onMouseOver_, this);
+    L.DomEvent.removeListener(this.container_, 'mouseleave', this.onMouseOut_, this);
     map.getPanes().overlayPane.removeChild(this.container_);
     map.off('viewreset', this.redraw, this);
   },
 
   redraw: function() {
+    if (this.canvas_ !== null) {
+      this.updated = 0;
+      this.canvas_.update_();
+      return;
+    }
     if (this.div_ && this.updated) {
         this.container_.removeChild(this.div_);
         this.div_ = null;
@@ -677,28 +4589,80 @@ ClusterMarker_ = L.Class.extend({
     if (!this.div_) {
       this.div_ = this.initLayout_();
       this.container_.appendChild(this.div_);
+      this.updated = 0;
+    }
+    if (this.ariaLabel_) {
+      this.container_.setAttribute('aria-label', this.ariaLabel_);
     }
 
     var pos = this.map_.latLngToLayerPoint(this.latlng_);
-    pos.x -= parseInt(this.width_ / 2, 10);
-    pos.y -= parseInt(this.height_ / 2, 10);
+    if (this.icon_) {
+      // Icons are anchored by their own margins.
+      L.DomUtil.setPosition(this.div_, pos);
+    } else {
+      pos.x -= parseInt(this.width_ / 2, 10);
+      pos.y -= parseInt(this.height_ / 2, 10);
+    }
     this.container_.style.top =  pos.y + "px";
     this.container_.style.left = pos.x + "px";
   },
 
   hide: function() {
+    this.hidden_ = true;
+    if (this.canvas_ !== null) {
+      this.canvas_.update_();
+      return;
+    }
     this.div_.style.display = "none";
+    this.container_.tabIndex = -1;
+    this.container_.setAttribute('aria-hidden', 'true');
   },
 
   show: function() {
+    this.hidden_ = false;
+    if (this.canvas_ !== null) {
+      this.canvas_.update_();
+      return;
+    }
     this.div_.style.display = "";
+    if (!this.ghost_) {
+      this.container_.tabIndex = 0;
+      this.container_.removeAttribute('aria-hidden');
+    }
   },
 
   isHidden: function () {
-    return this.div_.style.display === "none";
+    return this.hidden_;
+  },
+
+  getElement_: function() {
+    return this.container_;
+  },
+
+  getHeight_: function() {
+    if (this.icon_ && this.canvas_ === null) {
+      var size = this.icon_.options.iconSize;
+      return size ? L.point(size).y : 0;
+    }
+    return this.height_;
+  },
+
+  clone_: function() {
+    var clone = new ClusterMarker_(this.latlng_, {text: this.text_, index: this.index_},
+                                   this.styles_, this.padding_, null, this.icon_, this.canvas_);
+    // A copy only shown while animating, which keyboards and screen readers
+    // should skip.
+    clone.ghost_ = true;
+    return clone;
   },
 
   initLayout_: function() {
+    if (this.icon_) {
+      var icon = this.icon_.createIcon();
+      L.DomUtil.addClass(icon, 'cluster-marker');
+      return icon;
+    }
+
     var div = L.DomUtil.create('div', 'cluster-marker');
     var latlng = this.latlng_;
     var pos = this.map_.latLngToLayerPoint(latlng);
@@ -731,8 +4695,482 @@ ClusterMarker_ = L.Class.extend({
     div.style.cssText = mstyle + 'cursor:pointer;top:' + pos.y + "px;left:" +
         pos.x + "px;color:" + txtColor +  ";position:absolute;font-size:11px;" +
         'font-family:Arial,sans-serif;font-weight:bold';
-    div.innerHTML = this.count_;
+    div.innerHTML = this.text_;
 
     return div;
   }
 });
+
+/**
+ * A layer standing in for the marker of a point added by addPoints, which is
+ * only created when the layer is added to a map, or its marker is needed.
+ * The point is kept as its options.
+ * @private
+ * @param {Object} point An object with lat and lng properties.
+ * @param {Function} toLayer A function(point) returning its marker.
+ */
+var PointLayer_ = L.Class.extend({
+  initialize: function(point, toLayer) {
+    this.options = point;
+    this.toLayer_ = toLayer;
+    this.latlng_ = new L.LatLng(point.lat, point.lng);
+    this.marker_ = null;
+  },
+
+  getLatLng: function() {
+    return this.marker_ !== null ? this.marker_.getLatLng() : this.latlng_;
+  },
+
+  setLatLng: function(latlng) {
+    this.latlng_ = L.latLng(latlng);
+    if (this.marker_ !== null) {
+      this.marker_.setLatLng(this.latlng_);
+    }
+    return this;
+  },
+
+  /**
+   * Get the marker of the point, creating it if needed.
+   * @return {GMarker}
+   */
+  getMarker: function() {
+    if (this.marker_ === null) {
+      this.marker_ = this.toLayer_(this.options);
+      this.marker_.pointLayer_ = this;
+      this.latlng_ = this.marker_.getLatLng();
+    }
+    return this.marker_;
+  },
+
+  openPopup: function() {
+    var marker = this.getMarker();
+    if (marker.openPopup) {
+      marker.openPopup();
+    }
+    return this;
+  },
+
+  onAdd: function(map) {
+    map.addLayer(this.getMarker());
+  },
+
+  onRemove: function(map) {
+    map.removeLayer(this.marker_);
+  }
+});
+
+/**
+ * A canvas in the overlay pane on which the cluster markers of the canvas
+ * renderer are drawn, instead of each in its own element. The canvas does
+ * not take mouse events, so that layers below it stay clickable; clicks and
+ * hovers on the map are passed to the cluster marker drawn at their position.
+ * @private
+ */
+var ClusterCanvas_ = L.Class.extend({
+  initialize: function() {
+    this.markers_ = {};
+    this.images_ = {};
+    this.hover_ = null;
+    this.frame_ = null;
+    this.grid_ = null;
+  },
+
+  onAdd: function(map) {
+    this.map_ = map;
+    this.canvas_ = L.DomUtil.create('canvas', 'leafclusterer-canvas leaflet-zoom-hide');
+    this.canvas_.style.position = 'absolute';
+    this.canvas_.style.pointerEvents = 'none';
+    map.getPanes().overlayPane.appendChild(this.canvas_);
+
+    map.on('viewreset moveend resize', this.reset_, this);
+    map.on('click', this.onClick_, this);
+    map.on('mousemove', this.onMouseMove_, this);
+    map.on('mouseout zoomstart', this.onMouseOut_, this);
+    this.reset_();
+  },
+
+  onRemove: function(map) {
+    this.onMouseOut_();
+    map.off('viewreset moveend resize', this.reset_, this);
+    map.off('click', this.onClick_, this);
+    map.off('mousemove', this.onMouseMove_, this);
+    map.off('mouseout zoomstart', this.onMouseOut_, this);
+    if (this.frame_ !== null) {
+      L.Util.cancelAnimFrame(this.frame_);
+      this.frame_ = null;
+    }
+    map.getPanes().overlayPane.removeChild(this.canvas_);
+  },
+
+  addMarker_: function(marker) {
+    this.markers_[L.stamp(marker)] = marker;
+    this.update_();
+  },
+
+  removeMarker_: function(marker) {
+    delete this.markers_[L.stamp(marker)];
+    if (this.hover_ === marker) {
+      this.onMouseOut_();
+    }
+    this.update_();
+  },
+
+  /**
+   * Draw the canvas again on the next animation frame, once for all the
+   * cluster markers changed until then.
+   */
+  update_: function() {
+    this.grid_ = null;
+    if (this.frame_ === null && this.map_) {
+      this.frame_ = L.Util.requestAnimFrame(this.draw_, this);
+    }
+  },
+
+  /**
+   * Cover the viewport and half of it around, so that panning does not
+   * show the edges before the canvas is drawn again on moveend.
+   */
+  reset_: function() {
+    var size = this.map_.getSize();
+    var padding = size.multiplyBy(LEAFCLUSTERER_CANVAS_PADDING_).round();
+    this.origin_ = this.map_.containerPointToLayerPoint(padding.multiplyBy(-1));
+    L.DomUtil.setPosition(this.canvas_, this.origin_);
+    this.canvas_.width = size.x + 2 * padding.x;
+    this.canvas_.height = size.y + 2 * padding.y;
+    // The layer pixels of the cluster markers change with the zoom level.
+    this.grid_ = null;
+    this.draw_();
+  },
+
+  draw_: function() {
+    if (this.frame_ !== null) {
+      L.Util.cancelAnimFrame(this.frame_);
+      this.frame_ = null;
+    }
+    var ctx = this.canvas_.getContext ? this.canvas_.getContext('2d') : null;
+    if (!ctx) {
+      return;
+    }
+    ctx.clearRect(0, 0, this.canvas_.width, this.canvas_.height);
+    for (var id in this.markers_) {
+      if (this.markers_.hasOwnProperty(id) && !this.markers_[id].isHidden()) {
+        this.drawMarker_(ctx, this.markers_[id]);
+      }
+    }
+  },
+
+  drawMarker_: function(ctx, marker) {
+    var box = this.getBox_(marker).subtract(this.origin_);
+    var image = marker.url_ ? this.getImage_(marker.url_) : null;
+    if (image !== null) {
+      ctx.drawImage(image, box.x, box.y, marker.width_, marker.height_);
+    } else {
+      var colors = LEAFCLUSTERER_CANVAS_COLORS_;
+      var style = marker.styles_[marker.index_ - 1];
+      ctx.beginPath();
+      ctx.arc(box.x + marker.width_ / 2, box.y + marker.height_ / 2,
+              Math.min(marker.width_, marker.height_) / 2, 0, 2 * Math.PI);
+      ctx.fillStyle = style.color || colors[Math.min(marker.index_, colors.length) - 1];
+      ctx.fill();
+    }
+
+    ctx.font = 'bold 11px Arial,sans-serif';
+    ctx.fillStyle = marker.textColor_ ? marker.textColor_ : 'black';
+    var anchor = marker.anchor_;
+    if (typeof anchor === "object" && typeof anchor[0] === "number" && anchor[0] > 0 && anchor[0] < marker.height_) {
+      ctx.textBaseline = 'top';
+      box.y += anchor[0];
+    } else {
+      ctx.textBaseline = 'middle';
+      box.y += marker.height_ / 2;
+    }
+    if (typeof anchor === "object" && typeof anchor[1] === "number" && anchor[1] > 0 && anchor[1] < marker.width_) {
+      ctx.textAlign = 'left';
+      box.x += anchor[1];
+    } else {
+      ctx.textAlign = 'center';
+      box.x += marker.width_ / 2;
+    }
+    ctx.fillText(String(marker.text_), box.x, box.y);
+  },
+
+  /**
+   * Get the image of a style once it is loaded, loading it on first use.
+   * @param {String} url
+   * @return {Image} The image, or null while it is not loaded or when it
+   *     can not be loaded.
+   */
+  getImage_: function(url) {
+    var image = this.images_[url];
+    if (!image) {
+      image = this.images_[url] = new Image();
+      image.onload = L.Util.bind(this.update_, this);
+      image.src = url;
+    }
+    return image.complete && image.naturalWidth ? image : null;
+  },
+
+  /**
+   * Get the top left corner of a cluster marker, in layer pixels.
+   * @param {ClusterMarker_} marker
+   * @return {GPoint}
+   */
+  getBox_: function(marker) {
+    var pos = this.map_.latLngToLayerPoint(marker.latlng_);
+    pos.x -= parseInt(marker.width_ / 2, 10);
+    pos.y -= parseInt(marker.height_ / 2, 10);
+    return pos;
+  },
+
+  /**
+   * Get the grid of the cluster markers shown: the cluster markers by the
+   * cells their box overlaps, in the order they are drawn. It is built again
+   * after the cluster markers or the zoom level changed.
+   * @return {Object} Arrays of cluster markers by "x/y" of the cells.
+   */
+  getGrid_: function() {
+    if (this.grid_ !== null) {
+      return this.grid_;
+    }
+    var size = LEAFCLUSTERER_CANVAS_CELL_SIZE_;
+    var grid = {};
+    for (var id in this.markers_) {
+      if (!this.markers_.hasOwnProperty(id) || this.markers_[id].isHidden()) {
+        continue;
+      }
+      var marker = this.markers_[id];
+      var box = this.getBox_(marker);
+      var maxX = Math.floor((box.x + marker.width_) / size);
+      var maxY = Math.floor((box.y + marker.height_) / size);
+      for (var x = Math.floor(box.x / size); x <= maxX; ++x) {
+        for (var y = Math.floor(box.y / size); y <= maxY; ++y) {
+          var key = x + "/" + y;
+          if (!grid.hasOwnProperty(key)) {
+            grid[key] = [];
+          }
+          grid[key].push(marker);
+        }
+      }
+    }
+    this.grid_ = grid;
+    return grid;
+  },
+
+  /**
+   * Get the cluster marker drawn on top at a position.
+   * @param {GPoint} point The position in layer pixels.
+   * @return {ClusterMarker_} The cluster marker, or null if there is none.
+   */
+  hitTest_: function(point) {
+    var size = LEAFCLUSTERER_CANVAS_CELL_SIZE_;
+    var markers = this.getGrid_()[Math.floor(point.x / size) + "/" + Math.floor(point.y / size)] || [];
+    var found = null;
+    for (var i = 0; i < markers.length; ++i) {
+      var box = this.getBox_(markers[i]);
+      if (point.x >= box.x && point.x < box.x + markers[i].width_ &&
+          point.y >= box.y && point.y < box.y + markers[i].height_) {
+        found = markers[i];
+      }
+    }
+    return found;
+  },
+
+  onClick_: function(e) {
+    var marker = this.hitTest_(e.layerPoint);
+    if (marker !== null) {
+      marker.onClick_(e.originalEvent);
+    }
+  },
+
+  onMouseMove_: function(e) {
+    var marker = this.hitTest_(e.layerPoint);
+    if (marker === this.hover_) {
+      return;
+    }
+    this.onMouseOut_(e);
+    if (marker !== null) {
+      this.hover_ = marker;
+      this.map_.getContainer().style.cursor = 'pointer';
+      marker.onMouseOver_(e.originalEvent);
+    }
+  },
+
+  onMouseOut_: function(e) {
+    var marker = this.hover_;
+    if (marker === null) {
+      return;
+    }
+    this.hover_ = null;
+    this.map_.getContainer().style.cursor = '';
+    marker.onMouseOut_(e ? e.originalEvent : undefined);
+  }
+});
+
+/**
+ * A canvas in the overlay pane on which the markers of a LeafClusterer are
+ * drawn as a density heatmap. Each marker adds a radial kernel of density;
+ * the density is then colored with the gradient, relative to its maximum.
+ * @private
+ */
+var ClusterHeatmap_ = L.Class.extend({
+  initialize: function(getPoints, radius, gradient) {
+    this.getPoints_ = getPoints;
+    this.radius_ = radius;
+    this.gradient_ = gradient;
+    this.frame_ = null;
+  },
+
+  onAdd: function(map) {
+    this.map_ = map;
+    this.canvas_ = L.DomUtil.create('canvas', 'leafclusterer-heatmap leaflet-zoom-hide');
+    this.canvas_.style.position = 'absolute';
+    this.canvas_.style.pointerEvents = 'none';
+    map.getPanes().overlayPane.appendChild(this.canvas_);
+    map.on('viewreset moveend resize', this.reset_, this);
+    this.reset_();
+  },
+
+  onRemove: function(map) {
+    map.off('viewreset moveend resize', this.reset_, this);
+    if (this.frame_ !== null) {
+      L.Util.cancelAnimFrame(this.frame_);
+      this.frame_ = null;
+    }
+    map.getPanes().overlayPane.removeChild(this.canvas_);
+    this.map_ = null;
+  },
+
+  /**
+   * Draw the heatmap again on the next animation frame, once for all the
+   * changes of the markers until then.
+   */
+  update_: function() {
+    if (this.frame_ === null && this.map_) {
+      this.frame_ = L.Util.requestAnimFrame(this.draw_, this);
+    }
+  },
+
+  /**
+   * Cover the viewport and half of it around, like ClusterCanvas_, and draw
+   * the heatmap on the next animation frame.
+   */
+  reset_: function() {
+    var size = this.map_.getSize();
+    var padding = size.multiplyBy(LEAFCLUSTERER_CANVAS_PADDING_).round();
+    this.origin_ = this.map_.containerPointToLayerPoint(padding.multiplyBy(-1));
+    L.DomUtil.setPosition(this.canvas_, this.origin_);
+    this.canvas_.width = size.x + 2 * padding.x;
+    this.canvas_.height = size.y + 2 * padding.y;
+    // Resizing cleared the canvas: draw it once the markers changed too.
+    this.update_();
+  },
+
+  draw_: function() {
+    if (this.frame_ !== null) {
+      L.Util.cancelAnimFrame(this.frame_);
+      this.frame_ = null;
+    }
+    var ctx = this.canvas_.getContext ? this.canvas_.getContext('2d') : null;
+    if (!ctx) {
+      return;
+    }
+    var width = this.canvas_.width;
+    var height = this.canvas_.height;
+    var r = this.radius_;
+    ctx.clearRect(0, 0, width, height);
+
+    // Sum up the markers in cells of half the radius, so that a kernel is
+    // drawn per cell rather than per marker, and the densest cell is known.
+    var cellSize = Math.max(r / 2, 1);
+    var cells = {};
+    var max = 0;
+    var points = this.getPoints_();
+    var key;
+    for (var i = 0; i < points.length; ++i) {
+      var pos = this.map_.latLngToLayerPoint(points[i]).subtract(this.origin_);
+      if (pos.x < -r || pos.y < -r || pos.x > width + r || pos.y > height + r) {
+        continue;
+      }
+      key = Math.floor(pos.x / cellSize) + ":" + Math.floor(pos.y / cellSize);
+      var cell = cells[key];
+      if (!cell) {
+        cell = cells[key] = {x: 0, y: 0, count: 0};
+      }
+      cell.x += pos.x;
+      cell.y += pos.y;
+      cell.count++;
+      max = Math.max(max, cell.count);
+    }
+    if (max === 0) {
+      return;
+    }
+
+    var kernel = this.getKernel_();
+    for (key in cells) {
+      if (cells.hasOwnProperty(key)) {
+        var c = cells[key];
+        ctx.globalAlpha = Math.min(Math.max(c.count / max, 0.05), 1);
+        ctx.drawImage(kernel, c.x / c.count - r, c.y / c.count - r);
+      }
+    }
+    ctx.globalAlpha = 1;
+
+    // The density is in the alpha channel: color it with the gradient.
+    var image = ctx.getImageData(0, 0, width, height);
+    var data = image.data;
+    var palette = this.getPalette_();
+    for (i = 3; i < data.length; i += 4) {
+      var j = data[i] * 4;
+      if (j > 0) {
+        data[i - 3] = palette[j];
+        data[i - 2] = palette[j + 1];
+        data[i - 1] = palette[j + 2];
+      }
+    }
+    ctx.putImageData(image, 0, 0);
+  },
+
+  /**
+   * Get the kernel of a marker: a circle of the radius fading from opaque
+   * in the middle to transparent at the edge.
+   * @return {Element} A canvas.
+   */
+  getKernel_: function() {
+    if (!this.kernel_) {
+      var r = this.radius_;
+      var kernel = this.kernel_ = document.createElement('canvas');
+      kernel.width = kernel.height = 2 * r;
+      var ctx = kernel.getContext('2d');
+      var fill = ctx.createRadialGradient(r, r, 0, r, r, r);
+      fill.addColorStop(0, 'rgba(0, 0, 0, 1)');
+      fill.addColorStop(1, 'rgba(0, 0, 0, 0)');
+      ctx.fillStyle = fill;
+      ctx.fillRect(0, 0, 2 * r, 2 * r);
+    }
+    return this.kernel_;
+  },
+
+  /**
+   * Get the colors of the gradient for the 256 levels of density.
+   * @return {Array of Number} The red, green, blue and alpha values of
+   *     each level.
+   */
+  getPalette_: function() {
+    if (!this.palette_) {
+      var canvas = document.createElement('canvas');
+      canvas.width = 1;
+      canvas.height = 256;
+      var ctx = canvas.getContext('2d');
+      var fill = ctx.createLinearGradient(0, 0, 0, 256);
+      for (var stop in this.gradient_) {
+        if (this.gradient_.hasOwnProperty(stop)) {
+          fill.addColorStop(Number(stop), this.gradient_[stop]);
+        }
+      }
+      ctx.fillStyle = fill;
+      ctx.fillRect(0, 0, 1, 256);
+      this.palette_ = ctx.getImageData(0, 0, 1, 256).data;
+    }
+    return this.palette_;
+  }
+});
@@ -0,0 +1,303 @@
+/*
+ * Regression tests of the clustering core: adding, removing and zooming
+ * with the algorithms, LeafClustererCore.cluster and the cluster index.
+ * Run with "npm test".
+ */
+
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+var core = require("../leafclusterer-core.js");
+
+var tests = [];
+
+function test(name, fn) {
+  tests.push({'name': name, 'fn': fn});
+}
+
+/**
+ * Get the groups of an algorithm as sorted arrays, in a stable order.
+ */
+function sortGroups(groups) {
+  var sorted = [];
+  for (var i = 0; i < groups.length; ++i) {
+    sorted.push(groups[i].slice(0).sort(function (a, b) { return a - b; }));
+  }
+  return sorted.sort(function (a, b) { return a[0] - b[0]; });
+}
+
+/**
+ * Get the number of points under the clusters an index has for the world.
+ */
+function countInWorld(index, zoom) {
+  var nodes = index.getClustersInBox(-180, -85, 180, 85, zoom);
+  var count = 0;
+  for (var i = 0; i < nodes.length; ++i) {
+    count += nodes[i].count;
+  }
+  return count;
+}
+
+test("the core exports only LeafClustererCore", function () {
+  // Run like a script of a page, whose top-level declarations are globals.
+  var sandbox = {};
+  vm.runInNewContext(fs.readFileSync(path.join(__dirname, "../leafclusterer-core.js"), "utf8"), sandbox);
+  assert.deepStrictEqual(Object.keys(sandbox), ["LeafClustererCore"]);
+  assert.strictEqual(typeof sandbox.LeafClustererCore.ClusterIndex, "function");
+  assert.strictEqual(typeof core.ClusterIndex, "function");
+  assert.strictEqual(typeof core.getWorkerSource(), "string");
+});
+
+test("project and unproject are inverse", function () {
+  var p = core.project({'lat': 48.1, 'lng': 11.5});
+  var latlng = core.unproject(p);
+  assert.ok(Math.abs(latlng.lat - 48.1) < 1e-9);
+  assert.ok(Math.abs(latlng.lng - 11.5) < 1e-9);
+  assert.deepStrictEqual(core.project({'lat': 0, 'lng': 0}), {'x': 0.5, 'y': 0.5});
+});
+
+test("findGridGroup finds the last group in the grid", function () {
+  var centers = [{'x': 0, 'y': 0}, null, {'x': 30, 'y': 0}];
+  var asked = [];
+  function getCenter(i) {
+    asked.push(i);
+    return centers[i];
+  }
+  assert.strictEqual(core.findGridGroup({'x': 20, 'y': 10}, 3, getCenter, 40), 2);
+  assert.deepStrictEqual(asked, [2]);
+  assert.strictEqual(core.findGridGroup({'x': -20, 'y': 0}, 3, getCenter, 40), 0);
+  assert.strictEqual(core.findGridGroup({'x': 100, 'y': 0}, 3, getCenter, 40), -1);
+  assert.strictEqual(core.findGridGroup({'x': 0, 'y': 0}, 1, function () { return null; }, 40), -1);
+});
+
+test("findGridGroup adds points like the grid algorithm groups them", function () {
+  var points = [];
+  for (var i = 0; i < 200; ++i) {
+    points.push({'x': (i * 37) % 500, 'y': (i * 91) % 300});
+  }
+  var groups = [];
+  var centers = [];
+  function getCenter(j) {
+    return centers[j];
+  }
+  for (i = 0; i < points.length; ++i) {
+    var g = core.findGridGroup(points[i], centers.length, getCenter, 40);
+    if (g === -1) {
+      groups.push([i]);
+      centers.push(points[i]);
+    } else {
+      groups[g].push(i);
+    }
+  }
+  assert.deepStrictEqual(sortGroups(groups), sortGroups(core.algorithms.grid(points, 40)));
+});
+
+test("every algorithm puts each point in exactly one group", function () {
+  var points = [];
+  for (var i = 0; i < 300; ++i) {
+    points.push({'x': (i * 53) % 700, 'y': (i * 29) % 400});
+  }
+  for (var name in core.algorithms) {
+    var seen = {};
+    var groups = core.algorithms[name](points, 50);
+    for (var j = 0; j < groups.length; ++j) {
+      assert.ok(groups[j].length > 0, name);
+      for (var k = 0; k < groups[j].length; ++k) {
+        assert.ok(!seen.hasOwnProperty(groups[j][k]), name);
+        seen[groups[j][k]] = true;
+      }
+    }
+    assert.strictEqual(Object.keys(seen).length, points.length, name);
+  }
+});
+
+test("cluster groups near points and splits them when zooming in", function () {
+  var points = [
+    {'lat': 48.10, 'lng': 11.50},
+    {'lat': 48.11, 'lng': 11.51},
+    {'lat': 52.52, 'lng': 13.40}
+  ];
+  var clusters = core.cluster(points, 5);
+  assert.strictEqual(clusters.length, 2);
+  assert.strictEqual(clusters[0].count, 2);
+  assert.strictEqual(clusters[0].lat, 48.10);
+  assert.strictEqual(clusters[1].points[0], points[2]);
+
+  assert.strictEqual(core.cluster(points, 16).length, 3);
+  assert.strictEqual(core.cluster(points, 1).length, 1);
+  assert.strictEqual(core.cluster(points, 11).length, 2);
+  assert.strictEqual(core.cluster(points, 11, {'gridSize': 1}).length, 3);
+  assert.strictEqual(core.cluster(points, 5, {'algorithm': "radius"}).length, 2);
+});
+
+test("the index keeps all points at every zoom level", function () {
+  var points = [];
+  for (var i = 0; i < 500; ++i) {
+    points.push({'lat': (i * 7) % 140 - 70, 'lng': (i * 13) % 340 - 170});
+  }
+  var index = new core.ClusterIndex(60, 0, 18);
+  index.load(points);
+  assert.strictEqual(index.getTotalMarkers(), 500);
+  for (var z = 0; z <= 18; ++z) {
+    assert.strictEqual(countInWorld(index, z), 500, "zoom " + z);
+  }
+  assert.strictEqual(index.getClustersInBox(-180, -85, 180, 85, 18).length, 500);
+  assert.ok(index.getClustersInBox(-180, -85, 180, 85, 0).length < 500);
+});
+
+test("the index groups fewer clusters when zooming in", function () {
+  var points = [];
+  for (var i = 0; i < 100; ++i) {
+    points.push({'lat': 48 + (i % 10) * 0.01, 'lng': 11 + Math.floor(i / 10) * 0.01});
+  }
+  var index = new core.ClusterIndex(40, 0, 18);
+  index.load(points);
+  var last = 0;
+  for (var z = 0; z <= 18; ++z) {
+    var n = index.getClustersInBox(-180, -85, 180, 85, z).length;
+    assert.ok(n >= last, "zoom " + z);
+    last = n;
+  }
+  assert.strictEqual(index.getClustersInBox(-180, -85, 180, 85, 2).length, 1);
+  assert.strictEqual(last, 100);
+});
+
+test("points added to the index are clustered", function () {
+  var index = new core.ClusterIndex(40, 0, 18);
+  index.load([{'lat': 48.1, 'lng': 11.5}]);
+  assert.strictEqual(index.getClustersInBox(-180, -85, 180, 85, 5).length, 1);
+  index.load([{'lat': 48.1001, 'lng': 11.5001}, {'lat': -33.9, 'lng': 151.2}]);
+  var nodes = index.getClustersInBox(-180, -85, 180, 85, 5);
+  assert.strictEqual(nodes.length, 2);
+  var cluster = nodes[0].count === 2 ? nodes[0] : nodes[1];
+  assert.strictEqual(cluster.count, 2);
+  assert.strictEqual(index.getLeaves(cluster).length, 2);
+  assert.strictEqual(index.getNode(cluster.id), cluster);
+});
+
+test("points removed from the index are not clustered", function () {
+  var a = {'lat': 48.1, 'lng': 11.5};
+  var b = {'lat': 48.1001, 'lng': 11.5001};
+  var index = new core.ClusterIndex(40, 0, 18);
+  index.load([a, b]);
+  assert.strictEqual(index.getClustersInBox(-180, -85, 180, 85, 5)[0].count, 2);
+  assert.strictEqual(index.removeIf(function (p) { return p === b; }), 1);
+  assert.strictEqual(index.removeIf(function (p) { return p === b; }), 0);
+  var nodes = index.getClustersInBox(-180, -85, 180, 85, 5);
+  assert.strictEqual(nodes.length, 1);
+  assert.strictEqual(nodes[0].marker, a);
+  index.clear();
+  assert.strictEqual(index.getTotalMarkers(), 0);
+  assert.deepStrictEqual(index.getClustersInBox(-180, -85, 180, 85, 5), []);
+});
+
+test("the index shows single points from its max zoom level", function () {
+  var index = new core.ClusterIndex(40, 0, 18);
+  index.load([{'lat': 48.1, 'lng': 11.5}, {'lat': 48.1001, 'lng': 11.5001}]);
+  assert.strictEqual(index.getClustersInBox(-180, -85, 180, 85, 10).length, 1);
+  index.setZoomRange(0, 10);
+  assert.strictEqual(index.getClustersInBox(-180, -85, 180, 85, 10).length, 2);
+  assert.strictEqual(index.getClustersInBox(-180, -85, 180, 85, 9).length, 1);
+});
+
+test("the index clusters only points with the same key", function () {
+  var index = new core.ClusterIndex(40, 0, 18, function (p) {
+    return p.kind;
+  });
+  index.load([
+    {'lat': 48.1, 'lng': 11.5, 'kind': "a"},
+    {'lat': 48.1001, 'lng': 11.5001, 'kind': "b"},
+    {'lat': 48.1002, 'lng': 11.5002, 'kind': "a"}
+  ]);
+  var nodes = index.getClustersInBox(-180, -85, 180, 85, 5);
+  assert.strictEqual(nodes.length, 2);
+  assert.strictEqual(countInWorld(index, 5), 3);
+});
+
+test("the worker answers clusters and members", function () {
+  var replies = [];
+  var scope = {
+    'postMessage': function (data) {
+      replies.push(data);
+    }
+  };
+  core.workerMain(scope);
+  scope.onmessage({'data': {
+    'type': "load",
+    'coords': [48.1, 11.5, 48.1001, 11.5001, -33.9, 151.2],
+    'gridSize': 40,
+    'minZoom': 0,
+    'maxZoom': 18
+  }});
+  scope.onmessage({'data': {
+    'type': "clusters",
+    'requestId': 1,
+    'west': -180,
+    'south': -85,
+    'east': 180,
+    'north': 85,
+    'zoom': 5,
+    'minClusterSize': 2
+  }});
+  var clusters = replies[0].clusters;
+  assert.strictEqual(clusters.length, 10);
+  var id = clusters[3] === 2 ? clusters[0] : clusters[5];
+  scope.onmessage({'data': {'type': "members", 'requestId': 2, 'ids': [id, -3]}});
+  assert.deepStrictEqual(replies[1].members[id].sort(), [0, 1]);
+  assert.deepStrictEqual(replies[1].members[-3], [2]);
+});
+
+test("the worker gives single points one id", function () {
+  var replies = [];
+  var scope = {
+    'postMessage': function (data) {
+      replies.push(data);
+    }
+  };
+  core.workerMain(scope);
+  scope.onmessage({'data': {
+    'type': "load",
+    'coords': [48.1, 11.5, 48.1001, 11.5001, -33.9, 151.2],
+    'gridSize': 40,
+    'minZoom': 0,
+    'maxZoom': 18
+  }});
+  var ids = [];
+  [[5, 2], [5, 3], [18, 2]].forEach(function (request) {
+    scope.onmessage({'data': {
+      'type': "clusters",
+      'requestId': 1,
+      'west': -180,
+      'south': -85,
+      'east': 180,
+      'north': 85,
+      'zoom': request[0],
+      'minClusterSize': request[1]
+    }});
+    var clusters = replies[replies.length - 1].clusters;
+    for (var i = 0; i < clusters.length; i += 5) {
+      if (clusters[i + 4] >= 0) {
+        assert.strictEqual(clusters[i], -1 - clusters[i + 4]);
+        ids.push(clusters[i]);
+      } else {
+        assert.ok(clusters[i] > 0);
+      }
+    }
+  });
+  assert.deepStrictEqual(ids.sort(), [-1, -1, -2, -2, -3, -3, -3].sort());
+});
+
+var failed = 0;
+for (var i = 0; i < tests.length; ++i) {
+  try {
+    tests[i].fn();
+    console.log("ok " + (i + 1) + " - " + tests[i].name);
+  } catch (e) {
+    failed++;
+    console.log("not ok " + (i + 1) + " - " + tests[i].name);
+    console.log(e.stack);
+  }
+}
+console.log((tests.length - failed) + "/" + tests.length + " passed");
+process.exit(failed === 0 ? 0 : 1);